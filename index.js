@@ -4,8 +4,35 @@ const express = require("express");
 const cors = require("cors");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const stripe = require("stripe")(process.env.STRIPE_SECRET);
+const crypto = require("crypto");
 const admin = require("firebase-admin");
+const { createPayoutProvider } = require("./services/payoutProvider");
+const { renderReceiptPdf } = require("./services/receiptPdf");
+const { createPaymentProvider } = require("./services/paymentProvider");
+const { reconcile } = require("./services/reconciliation");
+const { createWebhookHandler } = require("./services/stripeWebhook");
+const { quotePrice, parsePricingRules } = require("./services/pricing");
+const { DAY_MS, dayRange, formatLocal, localDate } = require("./services/time");
+const { parseRecurrence, occurrences } = require("./services/schedule");
+const { connectionError, findItineraries } = require("./services/journeys");
+const { parseCsv, toCsv } = require("./services/csv");
+const { parseFareClasses, fareTotals } = require("./services/fareClasses");
+const { signTicket, verifyTicket, renderQr } = require("./services/eticket");
+const { parsePassengers } = require("./services/passengers");
+const { parseSearchNumbers } = require("./services/ticketSearch");
+const {
+  parseSeatMap,
+  bookableSeatIds,
+  seatAvailability,
+} = require("./services/seatMap");
+const {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+} = require("./services/currency");
 console.log("Stripe key exists:", !!process.env.STRIPE_SECRET);
+const paymentProvider = createPaymentProvider(stripe);
 
 let isConnected = false;
 
@@ -22,10 +49,18 @@ app.use(
       "https://tixgo.vercel.app",
       "https://tixgo.netlify.app",
     ],
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor", "Content-Disposition"],
   })
 );
 
-app.use(express.json());
+// keep the raw body around, Stripe webhook signatures are computed over it
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 app.get("/", (req, res) => {
   res.send("TixGo backend is running");
@@ -80,6 +115,22 @@ let vendorsCollection;
 let ticketsCollection;
 let bookingsCollection;
 let paymentsCollection;
+let refundsCollection;
+let couponsCollection;
+let ledgerCollection;
+let payoutsCollection;
+let countersCollection;
+let quotesCollection;
+let exchangeRatesCollection;
+let schedulesCollection;
+let ordersCollection;
+let notificationsCollection;
+let ticketRevisionsCollection;
+let tripCancellationsCollection;
+let waitlistCollection;
+let campaignsCollection;
+let checkinsCollection;
+let reviewsCollection;
 
 // Utility: safe ObjectId convert
 function toObjectId(id) {
@@ -99,6 +150,22 @@ async function run() {
     ticketsCollection = db.collection("tickets");
     bookingsCollection = db.collection("bookings");
     paymentsCollection = db.collection("payments");
+    refundsCollection = db.collection("refunds");
+    couponsCollection = db.collection("coupons");
+    ledgerCollection = db.collection("ledger");
+    payoutsCollection = db.collection("payouts");
+    countersCollection = db.collection("counters");
+    quotesCollection = db.collection("quotes");
+    exchangeRatesCollection = db.collection("exchangeRates");
+    schedulesCollection = db.collection("schedules");
+    ordersCollection = db.collection("orders");
+    notificationsCollection = db.collection("notifications");
+    ticketRevisionsCollection = db.collection("ticketRevisions");
+    tripCancellationsCollection = db.collection("tripCancellations");
+    waitlistCollection = db.collection("waitlist");
+    campaignsCollection = db.collection("campaigns");
+    checkinsCollection = db.collection("checkins");
+    reviewsCollection = db.collection("reviews");
 
     // ------------------
     // DATABASE INDEXES
@@ -106,13 +173,68 @@ async function run() {
     // await bookingsCollection.createIndex({ customerEmail: 1 });
     // await bookingsCollection.createIndex({ vendorEmail: 1 });
 
-    // await paymentsCollection.createIndex(
-    //   { transactionId: 1 },
-    //   { unique: true }
-    // );
+    // one payment row per booking and payment intent (orders share the
+    // intent between their bookings); the payment upserts rely on it when a
+    // webhook and /payments/verify record the same session at once
+    paymentsCollection
+      .createIndex({ transactionId: 1, bookingId: 1 }, { unique: true })
+      .catch((err) => console.error("Payment index error:", err));
 
     // await ticketsCollection.createIndex({ vendorEmail: 1 });
 
+    // trip search ($text) doesn't work without it; don't block startup on it
+    ticketsCollection
+      .createIndex(
+        { from: "text", to: "text", title: "text" },
+        { name: "trip_search" }
+      )
+      .catch((err) => console.error("Text index error:", err));
+
+    // one instance per schedule and departure, the generator upserts on it
+    ticketsCollection
+      .createIndex(
+        { scheduleId: 1, departure: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { scheduleId: { $exists: true } },
+        }
+      )
+      .catch((err) => console.error("Schedule index error:", err));
+
+    // imports upsert on it
+    ticketsCollection
+      .createIndex(
+        { vendorEmail: 1, externalId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { externalId: { $exists: true } },
+        }
+      )
+      .catch((err) => console.error("External id index error:", err));
+
+    // the queue of a ticket in FIFO order
+    waitlistCollection
+      .createIndex({ ticketId: 1, status: 1, createdAt: 1 })
+      .catch((err) => console.error("Waitlist index error:", err));
+
+    // GET /tickets/advertised looks up the running campaigns on every call
+    campaignsCollection
+      .createIndex({ status: 1, startsAt: 1, endsAt: 1 })
+      .catch((err) => console.error("Campaign index error:", err));
+
+    // a passenger boards once, POST /checkin relies on the duplicate key
+    checkinsCollection
+      .createIndex({ bookingId: 1, passenger: 1 }, { unique: true })
+      .catch((err) => console.error("Check-in index error:", err));
+
+    // one review per booking, POST /bookings/:id/review relies on it
+    reviewsCollection
+      .createIndex({ bookingId: 1 }, { unique: true })
+      .catch((err) => console.error("Review index error:", err));
+    reviewsCollection
+      .createIndex({ vendorEmail: 1, status: 1, createdAt: -1 })
+      .catch((err) => console.error("Review index error:", err));
+
     /* ===============================
         Admin Middleware
     ================================ */
@@ -148,1146 +270,7586 @@ async function run() {
       next();
     };
 
-    // // ----------------------------------------------------
-    // // ROOT
-    // // ----------------------------------------------------
-    // app.get("/", (req, res) => {
-    //   res.send("Tixgo backend is running! 🚀");
-    // });
+    /* ===============================
+         Admin Or Vendor Middleware
+    ================================ */
+    const verifyAdminOrVendor = async (req, res, next) => {
+      const email = req.decoded?.email;
+      const user = await usersCollection.findOne({ email });
 
-    // || PAYMENT API ||
+      if (!user || (user.role !== "admin" && user.role !== "vendor")) {
+        return res.status(403).send({ message: "Forbidden" });
+      }
 
-    // ------------------
-    // CREATE TICKET CHECKOUT Stripe
-    // ------------------
-    app.post("/create-ticket-checkout", async (req, res) => {
+      if (user.role === "vendor" && user.isFraud === true) {
+        return res.status(403).send({
+          message:
+            "Your vendor account has been suspended due to fraud activity",
+        });
+      }
+
+      req.user = user;
+      next();
+    };
+
+    /* ===============================
+         Notifications
+    ================================ */
+    // In-app inbox shown to customers and vendors, see GET /notifications
+    const notify = async (emails, { type, title, message, data = {} }) => {
+      const recipients = [...new Set([].concat(emails).filter(Boolean))];
+      if (!recipients.length) return 0;
+
+      const createdAt = new Date();
+      await notificationsCollection.insertMany(
+        recipients.map((userEmail) => ({
+          userEmail,
+          type,
+          title,
+          message,
+          data,
+          read: false,
+          createdAt,
+        }))
+      );
+      return recipients.length;
+    };
+
+    // Notifies everyone holding a live booking on a ticket, returns how many
+    const notifyTicketCustomers = async (ticketId, notification) => {
+      const emails = await bookingsCollection.distinct("customerEmail", {
+        ticketId,
+        status: { $in: ["pending", "accepted", "paid"] },
+      });
+      return notify(emails, notification);
+    };
+
+    app.get("/notifications", verifyJWT, async (req, res) => {
       try {
-        const { bookingId } = req.body;
-        const bookingOid = toObjectId(bookingId);
+        const q = { userEmail: req.decoded.email };
+        if (req.query.unread === "true") q.read = false;
 
-        if (!bookingOid) {
-          return res.status(400).send({ message: "Invalid booking id" });
-        }
+        const notifications = await notificationsCollection
+          .find(q)
+          .sort({ createdAt: -1 })
+          .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+          .toArray();
+        res.send(notifications);
+      } catch (err) {
+        console.error("GET /notifications error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
 
-        const booking = await bookingsCollection.findOne({ _id: bookingOid });
-        if (!booking) {
-          return res.status(404).send({ message: "Booking not found" });
-        }
+    app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
 
-        if (booking.status === "paid") {
-          return res.status(400).send({ message: "Already paid" });
-        }
+        const result = await notificationsCollection.updateOne(
+          { _id: oid, userEmail: req.decoded.email },
+          { $set: { read: true, readAt: new Date() } }
+        );
+        if (!result.matchedCount)
+          return res.status(404).send({ message: "Notification not found" });
 
-        if (booking.status !== "accepted") {
-          return res
-            .status(400)
-            .send({ message: "Booking must be accepted before payment" });
-        }
+        res.send({ success: true });
+      } catch (err) {
+        console.error("PATCH /notifications/:id/read error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
 
-        const ticket = await ticketsCollection.findOne({
-          _id: booking.ticketId,
-        });
-        if (!ticket) {
-          return res.status(404).send({ message: "Ticket not found" });
-        }
+    /* ===============================
+         Payment Helpers
+    ================================ */
 
-        if (ticket.departure <= new Date()) {
-          return res.status(400).send({ message: "Departure time passed" });
-        }
+    // Records a paid Checkout session and marks its booking(s) as paid.
+    // Safe to call more than once for the same session (verify + webhook).
+    const recordPayment = async (session) => {
+      if (session.metadata?.campaignId) {
+        return recordCampaignPayment(session);
+      }
+      if (session.metadata?.moveId) {
+        return recordMovePayment(session);
+      }
+      if (session.metadata?.orderId) {
+        return recordOrderPayment(
+          session,
+          toObjectId(session.metadata.orderId)
+        );
+      }
 
-        const unitPrice = Number(booking.price);
-        const quantity = Number(booking.quantity);
+      const bookingId = toObjectId(session.metadata?.bookingId);
+      if (!bookingId) return { found: false };
 
-        if (!unitPrice || !quantity || unitPrice <= 0 || quantity <= 0) {
-          return res.status(400).send({ message: "Invalid price or quantity" });
-        }
+      const booking = await bookingsCollection.findOne({ _id: bookingId });
+      if (!booking) return { found: false };
 
-        const unitAmount = Math.round(unitPrice * 100);
+      const created = await recordBookingPayment(session, booking, {
+        amount: session.amount_total,
+        subtotal: session.amount_subtotal,
+      });
+      return { found: true, created };
+    };
 
-        const session = await stripe.checkout.sessions.create({
-          payment_method_types: ["card"],
-          mode: "payment",
-          line_items: [
-            {
-              price_data: {
-                currency: "usd",
-                unit_amount: unitAmount,
-                product_data: {
-                  name: booking.title,
-                },
-              },
-              quantity,
-            },
-          ],
-          metadata: {
-            bookingId: booking._id.toString(),
-            ticketId: booking.ticketId.toString(),
-            quantity: quantity.toString(),
-          },
-          success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-          cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
-        });
-        console.log("SITE_DOMAIN:", process.env.SITE_DOMAIN);
+    // Order sessions have one line item per booking and no discounts, so
+    // every booking gets its own line total as a separate payment
+    const recordOrderPayment = async (session, orderId) => {
+      const order =
+        orderId && (await ordersCollection.findOne({ _id: orderId }));
+      if (!order) return { found: false };
 
-        res.send({ url: session.url });
-      } catch (err) {
-        console.error("Stripe Checkout Error:", err);
-        res.status(500).send({ message: err.message });
-      }
-    });
+      const bookings = await bookingsCollection
+        .find({ _id: { $in: order.bookingIds } })
+        .toArray();
 
-    // VERIFY PAYMENT
-    app.post("/payments/verify", async (req, res) => {
-      try {
-        const { sessionId } = req.body;
+      let remaining = session.amount_total;
+      let created = false;
+      for (const [i, booking] of bookings.entries()) {
+        // the last booking takes whatever is left so the split adds up
+        const amount =
+          i === bookings.length - 1
+            ? remaining
+            : toMinorUnits(booking.price, session.currency) * booking.quantity;
+        remaining -= amount;
 
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        if (
+          await recordBookingPayment(session, booking, {
+            amount,
+            subtotal: amount,
+          })
+        ) {
+          created = true;
+        }
+      }
 
-        if (session.payment_status !== "paid") {
-          return res.status(400).send({ message: "Payment not completed" });
+      await ordersCollection.updateOne(
+        { _id: orderId, status: { $ne: "paid" } },
+        {
+          $set: {
+            status: "paid",
+            paidAt: new Date(),
+            transactionId: session.payment_intent,
+          },
         }
+      );
 
-        const bookingId = new ObjectId(session.metadata.bookingId);
-        const booking = await bookingsCollection.findOne({ _id: bookingId });
+      return { found: true, created };
+    };
 
-        if (!booking) {
-          return res.status(404).send({ message: "Booking not found" });
-        }
+    // Inserts the payment row for `bookingId` unless it is already there.
+    // Losing the race against a parallel insert counts as already recorded.
+    const upsertPayment = async (transactionId, bookingId, payment) => {
+      try {
+        return await paymentsCollection.updateOne(
+          { transactionId, bookingId },
+          { $setOnInsert: payment },
+          { upsert: true }
+        );
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return { upsertedCount: 0, upsertedId: null };
+      }
+    };
 
-        
-        const exists = await paymentsCollection.findOne({
-          transactionId: session.payment_intent,
-        });
+    // Records one booking's share (in minor units) of a paid session.
+    // Returns whether the payment row was new.
+    const recordBookingPayment = async (session, booking, share) => {
+      const bookingId = booking._id;
+      const paidAt = new Date();
+      const amount = fromMinorUnits(share.amount, session.currency);
+      const exchangeRate = await getExchangeRate(session.currency);
+      if (exchangeRate === null) {
+        console.warn(
+          "No exchange rate for payment currency:",
+          session.currency
+        );
+      }
 
-        if (exists) {
-          return res.send({ success: true });
-        }
+      const result = await upsertPayment(session.payment_intent, bookingId, {
+        bookingId,
+        ticketId: booking.ticketId,
+        customerEmail: booking.customerEmail,
+        ticketTitle: booking.title,
+        amount,
+        quantity: booking.quantity,
+        currency: session.currency,
+        baseCurrency: BASE_CURRENCY,
+        exchangeRate,
+        baseAmount:
+          exchangeRate === null ? null : roundMoney(amount * exchangeRate),
+        originalAmount:
+          booking.originalAmount ??
+          fromMinorUnits(share.subtotal, session.currency),
+        discountAmount: booking.discountAmount || 0,
+        couponCode: booking.couponCode || null,
+        fareClass: booking.fareClass || null,
+        transactionId: session.payment_intent,
+        paidAt,
+      });
 
-       
-        await paymentsCollection.insertOne({
-          bookingId,
-          ticketId: booking.ticketId,
-          customerEmail: booking.customerEmail,
-          ticketTitle: booking.title, 
-          amount: session.amount_total / 100,
-          quantity: booking.quantity,
-          currency: session.currency,
-          transactionId: session.payment_intent,
-          paidAt: new Date(),
-        });
+      if (result.upsertedCount && booking.couponCode) {
+        await couponsCollection.updateOne(
+          { code: booking.couponCode },
+          { $inc: { usedCount: 1 } }
+        );
+      }
+
+      if (result.upsertedCount) {
+        await assignInvoiceNumber(result.upsertedId);
+        await postPaymentLedger(
+          await paymentsCollection.findOne({ _id: result.upsertedId })
+        );
+      }
+
+      // the hold may have lapsed (or been cancelled) while the customer was
+      // still on Stripe, in that case take the seats back if they're free
+      if (booking.status === "expired" || booking.status === "cancelled") {
+        const reserved = await takeSeats(
+          booking.ticketId,
+          booking.quantity,
+          booking.seats,
+          booking.fareClass
+        );
+        if (!reserved) {
+          await refundLatePayment(session, booking);
+          return result.upsertedCount > 0;
+        }
+      }
 
-       
+      if (["accepted", "expired", "cancelled"].includes(booking.status)) {
         await bookingsCollection.updateOne(
-          { _id: bookingId },
+          { _id: bookingId, status: booking.status },
           {
             $set: {
               status: "paid",
-              paidAt: new Date(),
+              paymentStatus: "paid",
+              paidAt,
             },
+            $unset: { holdExpiresAt: "" },
           }
         );
+      }
 
-        res.send({ success: true });
-      } catch (err) {
-        console.error("Payment verify error:", err);
-        res.status(500).send({ message: "Payment verification failed" });
+      if (booking.waitlistId) {
+        await waitlistCollection.updateOne(
+          { _id: booking.waitlistId },
+          { $set: { status: "booked", endedAt: paidAt } }
+        );
       }
-    });
 
-    // routes/payments.js or index.js
+      return result.upsertedCount > 0;
+    };
 
-    app.post(
-      "/payments/create-checkout-session",
-      verifyJWT,
-      async (req, res) => {
-        try {
-          const { bookingId } = req.body;
+    // The seats of a lapsed hold were sold before its payment came in: the
+    // money goes back and the booking ends as refunded. Safe to repeat,
+    // webhook retries only refund what is still left.
+    const refundLatePayment = async (session, booking) => {
+      console.warn("Paid booking could not get its seats back:", booking._id);
 
-          const bookingOid = toObjectId(bookingId);
-          if (!bookingOid) {
-            return res.status(400).send({ message: "Invalid bookingId" });
-          }
+      const payment = await paymentsCollection.findOne({
+        transactionId: session.payment_intent,
+        bookingId: booking._id,
+      });
+      const left = roundMoney(payment.amount - (payment.refundedAmount || 0));
+      if (left > 0) {
+        await refundPaymentAmount(
+          booking,
+          payment,
+          left,
+          "Seats were sold before the payment arrived"
+        );
+        await paymentsCollection.updateOne(
+          { _id: payment._id },
+          { $set: { refundedQuantity: payment.quantity } }
+        );
+      }
 
-          const booking = await bookingsCollection.findOne({ _id: bookingOid });
-          if (!booking) {
-            return res.status(404).send({ message: "Booking not found" });
-          }
+      const result = await bookingsCollection.updateOne(
+        { _id: booking._id, status: booking.status },
+        {
+          $set: {
+            status: "refunded",
+            paymentStatus: "refunded",
+            refundedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount) {
+        await notify(booking.customerEmail, {
+          type: "payment_refunded",
+          title: `${booking.title}: payment refunded`,
+          message:
+            "Your booking expired and its seats were sold before the payment arrived, so the payment was refunded in full.",
+          data: { bookingId: booking._id },
+        });
+      }
+    };
 
-          if (booking.paymentStatus === "paid") {
-            return res.status(400).send({ message: "Already paid" });
-          }
+    // Tickets from before multi-currency support were all sold in USD
+    const currencyOf = (doc) => doc.currency || "usd";
 
-          if (booking.status !== "accepted") {
-            return res.status(400).send({ message: "Booking not accepted" });
-          }
+    // Base-currency units per one unit of `currency`, null when unknown
+    const getExchangeRate = async (currency) => {
+      if (currency === BASE_CURRENCY) return 1;
+      const row = await exchangeRatesCollection.findOne({ _id: currency });
+      return row?.rate ?? null;
+    };
 
-          const unitAmount = Math.round(Number(booking.price) * 100);
-          const quantity = Number(booking.quantity);
+    // The rate stored with a payment. Without one only a base-currency
+    // payment can be taken at face value, any other is null (unknown).
+    const paymentRate = (payment) =>
+      payment.exchangeRate ??
+      (currencyOf(payment) === BASE_CURRENCY ? 1 : null);
 
-          if (unitAmount <= 0 || quantity <= 0) {
-            return res
-              .status(400)
-              .send({ message: "Invalid price or quantity" });
-          }
+    const toBaseAmount = (payment, amount) => {
+      const rate = paymentRate(payment);
+      return rate === null ? null : roundMoney(amount * rate);
+    };
 
-          if (!process.env.SITE_DOMAIN) {
-            throw new Error("SITE_DOMAIN is not defined");
-          }
+    /* ===============================
+         Ledger Helpers
+    ================================ */
+    // Every payment is split into a platform fee and a vendor credit. Vendor
+    // entries are signed from the vendor's point of view, so a vendor's
+    // balance is simply the sum of their "vendor" account entries. Entries
+    // keep the currency of the payment and balances are never added up
+    // across currencies; entries from before that have none and are USD.
+    const PLATFORM_FEE_PERCENT = Number(process.env.PLATFORM_FEE_PERCENT ?? 10);
+
+    const payoutProvider = createPayoutProvider(
+      process.env.PAYOUT_PROVIDER,
+      stripe
+    );
 
-          const session = await stripe.checkout.sessions.create({
-            mode: "payment",
-            payment_method_types: ["card"],
-            customer_email: booking.customerEmail,
+    const roundMoney = (n) => Math.round(n * 100) / 100;
 
-            line_items: [
-              {
-                price_data: {
-                  currency: "usd",
-                  unit_amount: unitAmount,
-                  product_data: {
-                    name: booking.title, 
-                  },
-                },
-                quantity,
-              },
-            ],
+    const getFeePercent = async (vendorEmail) => {
+      const vendor = await vendorsCollection.findOne({
+        userEmail: vendorEmail,
+      });
+      return typeof vendor?.commissionPercent === "number"
+        ? vendor.commissionPercent
+        : PLATFORM_FEE_PERCENT;
+    };
 
-            metadata: {
-              bookingId: booking._id.toString(),
-            },
+    const ledgerCurrency = { $ifNull: ["$currency", "usd"] };
 
-            success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
-          });
+    // { usd: 120.5, bdt: 3400 }
+    const getVendorBalances = async (vendorEmail) => {
+      const rows = await ledgerCollection
+        .aggregate([
+          { $match: { account: "vendor", vendorEmail } },
+          { $group: { _id: ledgerCurrency, balance: { $sum: "$amount" } } },
+        ])
+        .toArray();
+      return Object.fromEntries(
+        rows.map((row) => [row._id, roundMoney(row.balance)])
+      );
+    };
 
-          res.send({ url: session.url });
-        } catch (err) {
-          console.error("Stripe Error FULL:", err);
-          res.status(500).send({ message: err.message });
-        }
-      }
-    );
+    const getVendorBalance = async (vendorEmail, currency) =>
+      (await getVendorBalances(vendorEmail))[currency] || 0;
 
-    // ------------------
-    // PAYMENT SUCCESS
-    // ------------------
-    app.post("/stripe/payment-success", async (req, res) => {
-      try {
-        const sessionId = req.query.session_id;
-        if (!sessionId) {
-          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
-        }
+    const postPaymentLedger = async (payment) => {
+      const booking = await bookingsCollection.findOne({
+        _id: payment.bookingId,
+      });
+      const vendorEmail = booking?.vendorEmail;
+      if (!vendorEmail) return;
+
+      const feePercent = await getFeePercent(vendorEmail);
+      const platformFee = roundMoney((payment.amount * feePercent) / 100);
+      const vendorAmount = roundMoney(payment.amount - platformFee);
+      const entry = {
+        vendorEmail,
+        paymentId: payment._id,
+        bookingId: payment.bookingId,
+        currency: payment.currency,
+        createdAt: new Date(),
+      };
 
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
-        console.log("Stripe Session:", session);
-        if (session.payment_status !== "paid") {
-          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
-        }
+      await ledgerCollection.insertMany([
+        {
+          ...entry,
+          account: "platform",
+          type: "platform_fee",
+          amount: platformFee,
+        },
+        {
+          ...entry,
+          account: "vendor",
+          type: "sale_credit",
+          amount: vendorAmount,
+        },
+      ]);
+
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $set: { vendorEmail, feePercent, platformFee, vendorAmount } }
+      );
+    };
 
-        const bookingId = toObjectId(session.metadata.bookingId);
-        if (!bookingId) {
-          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
-        }
+    // Takes a refund back out of the fee and the vendor credit proportionally
+    const postRefundLedger = async (payment, refund) => {
+      if (!payment.vendorEmail) return;
 
-        const alreadyPaid = await paymentsCollection.findOne({
-          transactionId: session.payment_intent,
-        });
+      const platformFee = roundMoney(
+        (refund.amount * payment.feePercent) / 100
+      );
+      const entry = {
+        vendorEmail: payment.vendorEmail,
+        paymentId: payment._id,
+        bookingId: refund.bookingId,
+        refundId: refund._id,
+        currency: refund.currency,
+        createdAt: new Date(),
+      };
 
-        // return res.redirect(
-        //   `${process.env.SITE_DOMAIN}/payment-success?session_id=${sessionId}`
-        // );
-        res.send({ success: true, message: "Payment verified" });
-      } catch (err) {
-        console.error("Payment Success Error:", err);
-        // return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
-      }
-    });
+      await ledgerCollection.insertMany([
+        {
+          ...entry,
+          account: "platform",
+          type: "platform_fee_reversal",
+          amount: -platformFee,
+        },
+        {
+          ...entry,
+          account: "vendor",
+          type: "refund_debit",
+          amount: -roundMoney(refund.amount - platformFee),
+        },
+      ]);
+    };
 
-    // ------------------
-    // PAYMENT CANCELLED
-    // ------------------
-    app.get("/stripe/payment-cancelled", async (req, res) => {
-      try {
-        const bookingId = toObjectId(req.query.bookingId);
-        if (!bookingId) {
-          return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
-        }
+    // Gives a payment the next invoice number, unless it already has one
+    const assignInvoiceNumber = async (paymentId) => {
+      const payment = await paymentsCollection.findOne({ _id: paymentId });
+      if (payment.invoiceNumber) return payment.invoiceNumber;
 
-        const bookingOid = toObjectId(bookingId);
-        if (!bookingOid) {
-          return res.status(400).send({ message: "Invalid bookingId" });
-        }
-
-        const booking = await bookingsCollection.findOne({ _id: bookingOid });
+      const counter = await countersCollection.findOneAndUpdate(
+        { _id: "invoice" },
+        { $inc: { seq: 1 } },
+        { upsert: true, returnDocument: "after" }
+      );
+      const invoiceNumber = `TIX-${String(counter.seq).padStart(6, "0")}`;
 
-        if (booking && booking.status === "accepted") {
-          await ticketsCollection.updateOne(
-            { _id: booking.ticketId },
-            { $inc: { quantity: booking.quantity } }
-          );
+      const result = await paymentsCollection.updateOne(
+        { _id: paymentId, invoiceNumber: { $exists: false } },
+        { $set: { invoiceNumber } }
+      );
+      if (result.modifiedCount) return invoiceNumber;
 
-          await bookingsCollection.updateOne(
-            { _id: bookingId },
-            { $set: { status: "cancelled" } }
-          );
-        }
+      // someone else numbered it first
+      return (await paymentsCollection.findOne({ _id: paymentId }))
+        .invoiceNumber;
+    };
 
-        return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
-      } catch (err) {
-        return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
-      }
-    });
+    // Flags the booking(s) of a checkout that did not go through, unless paid
+    const markPaymentIssue = async (metadata, paymentStatus, extra = {}) => {
+      const filter = metadata?.orderId
+        ? { orderId: toObjectId(metadata.orderId) }
+        : { _id: metadata?.bookingId ? toObjectId(metadata.bookingId) : null };
+      if (!filter.orderId && !filter._id) return;
 
-    // ------------------
-    // Payment Related API
-    // ------------------
-    app.get("/payments", verifyJWT, async (req, res) => {
-      const email = req.decoded.email;
+      await bookingsCollection.updateMany(
+        { ...filter, status: { $ne: "paid" } },
+        { $set: { paymentStatus, ...extra } }
+      );
+    };
 
-      const payments = await paymentsCollection
-        .find({ customerEmail: email })
-        .sort({ paidAt: -1 })
-        .toArray();
+    // Reserves seats on a ticket if they are all still free. `seats` are
+    // seat ids on tickets with a seat map and left out on the others.
+    const takeSeats = async (ticketId, quantity, seats, fareClass) => {
+      const filter = {
+        _id: ticketId,
+        quantity: { $gte: quantity },
+        cancelled: { $ne: true },
+      };
+      const update = { $inc: { quantity: -quantity } };
+      const options = {};
 
-      res.send(payments);
-    });
+      if (seats?.length) {
+        filter.takenSeats = { $nin: seats };
+        filter["seatMap.blocked"] = { $nin: seats };
+        update.$push = { takenSeats: { $each: seats } };
+      }
+      if (fareClass) {
+        filter.fareClasses = {
+          $elemMatch: { code: fareClass, quantity: { $gte: quantity } },
+        };
+        update.$inc["fareClasses.$[fare].quantity"] = -quantity;
+        options.arrayFilters = [{ "fare.code": fareClass }];
+      }
 
-    /* ===============================
-       USERS
-    ================================ */
+      const result = await ticketsCollection.updateOne(filter, update, options);
+      return result.modifiedCount > 0;
+    };
 
-    app.get("/users/role", verifyJWT, async (req, res) => {
-      const email = req.decoded.email;
-      const user = await usersCollection.findOne({ email });
-      res.send({ role: user?.role || "user" });
-    });
+    // Puts a booking's seats back on its ticket
+    const releaseSeats = async (
+      booking,
+      quantity = booking.quantity,
+      seats = booking.seats
+    ) => {
+      const update = { $inc: { quantity } };
+      const options = {};
+      if (seats?.length) update.$pullAll = { takenSeats: seats };
+      if (booking.fareClass) {
+        update.$inc["fareClasses.$[fare].quantity"] = quantity;
+        options.arrayFilters = [{ "fare.code": booking.fareClass }];
+      }
 
-    app.post("/users", async (req, res) => {
-      const { email, name, photo } = req.body;
-      if (!email) return res.status(400).send({ message: "email required" });
+      await ticketsCollection.updateOne(
+        { _id: booking.ticketId },
+        update,
+        options
+      );
 
-      const existingUser = await usersCollection.findOne({ email });
+      // a waitlist offer that is given back is gone, the seats move on
+      if (booking.waitlistId) {
+        await waitlistCollection.updateOne(
+          { _id: booking.waitlistId, status: "offered" },
+          { $set: { status: "lapsed", endedAt: new Date() } }
+        );
+      }
+      await offerWaitlist(booking.ticketId).catch((err) =>
+        console.error("Waitlist offer error:", err)
+      );
+    };
 
-      if (existingUser) {
-        await usersCollection.updateOne(
-          { email },
-          {
-            $set: {
-              name: name || existingUser.name,
-              photo: photo || existingUser.photo,
-              lastLogin: new Date(),
-            },
-          }
+    // The fare class a quote or booking is for: the one asked for, else the
+    // cheapest with enough seats left. Returns { fare } (null on tickets
+    // without classes) or { error }.
+    const pickFareClass = (ticket, code, quantity = 1) => {
+      if (!ticket.fareClasses) {
+        return code
+          ? { error: "This ticket has no fare classes" }
+          : { fare: null };
+      }
+      if (code) {
+        const fare = ticket.fareClasses.find(
+          (f) => f.code === String(code).toLowerCase()
         );
-        return res.send({ success: true, message: "User updated" });
+        return fare ? { fare } : { error: `Unknown fare class ${code}` };
       }
 
-      await usersCollection.insertOne({
-        email,
-        name: name || "",
-        photo: photo || "",
-        role: "user",
-        isFraud: false,
-        createdAt: new Date(),
-      });
+      const byPrice = [...ticket.fareClasses].sort((a, b) => a.price - b.price);
+      return {
+        fare: byPrice.find((f) => f.quantity >= quantity) || byPrice[0],
+      };
+    };
 
-      res.send({ success: true, message: "User created" });
-    });
+    // fare class as vendors define it, without the live inventory
+    const fareClassDefinitions = (fareClasses) =>
+      fareClasses?.map(({ quantity, ...fare }) => fare) || null;
 
-    app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
-      const q = {};
-      if (req.query.role) q.role = req.query.role;
-      const users = await usersCollection
-        .find(q)
-        .sort({ createdAt: -1 })
-        .toArray();
-      res.send(users);
-    });
+    /* ===============================
+         Booking Holds
+    ================================ */
+    // Unpaid bookings keep their seats only for a limited time
+    const ACCEPT_HOLD_MINUTES = Number(process.env.ACCEPT_HOLD_MINUTES) || 30;
+    const PAYMENT_HOLD_MINUTES = Number(process.env.PAYMENT_HOLD_MINUTES) || 15;
+    const HOLD_SWEEP_SECONDS = Number(process.env.HOLD_SWEEP_SECONDS) || 60;
 
-    app.get("/users/profile", verifyJWT, async (req, res) => {
-      const email = req.decoded.email;
-      const user = await usersCollection.findOne({ email });
+    const holdDeadline = (minutes) =>
+      new Date(Date.now() + minutes * 60 * 1000);
 
-      if (!user) return res.status(404).send({ message: "User not found" });
+    const isHoldExpired = (booking) =>
+      !!booking.holdExpiresAt && booking.holdExpiresAt <= new Date();
 
-      res.send(user);
-    });
+    // Moves a single stale booking to "expired" and frees its seats
+    const expireBooking = async (booking) => {
+      const result = await bookingsCollection.updateOne(
+        { _id: booking._id, status: booking.status },
+        { $set: { status: "expired", expiredAt: new Date() } }
+      );
+      if (!result.modifiedCount) return false;
 
-    app.put("/users/:email", verifyJWT, verifyAdmin, async (req, res) => {
-      const { name, photo, phone } = req.body;
+      await releaseSeats(booking);
+      await abandonOrder(booking);
+      return true;
+    };
 
-      const update = {
-        ...(name && { name }),
-        ...(photo && { photo }),
-        ...(phone && { phone }),
-      };
+    // Closes the booking's own Checkout session if it is still open
+    const expireBookingSession = async (booking) => {
+      if (
+        !booking.checkoutSessionId ||
+        !(booking.checkoutExpiresAt > new Date())
+      ) {
+        return;
+      }
+      await paymentProvider
+        .expireCheckoutSession(booking.checkoutSessionId)
+        .catch((err) => console.error("Session expire error:", err));
+    };
 
-      const result = await usersCollection.updateOne(
-        { email: req.params.email },
-        { $set: update }
+    // A cart only groups bookings for one payment. When it fails or is
+    // dropped its unpaid bookings are kept and can be paid one by one again.
+    // Returns false when `orderId` is no pending cart.
+    const dissolveCart = async (orderId) => {
+      const order = await ordersCollection.findOneAndUpdate(
+        { _id: orderId, kind: "cart", status: "pending" },
+        { $set: { status: "cancelled", cancelledAt: new Date() } }
       );
+      if (!order) return false;
 
-      res.send({ success: true, result });
-    });
+      if (order.checkoutSessionId && order.checkoutExpiresAt > new Date()) {
+        await paymentProvider
+          .expireCheckoutSession(order.checkoutSessionId)
+          .catch((err) => console.error("Order session expire error:", err));
+      }
 
-    /* ===============================
-                  VENDORS
-      ================================ */
+      await bookingsCollection.updateMany(
+        { orderId, status: { $ne: "paid" } },
+        {
+          $unset: { orderId: "", checkoutSessionId: "", checkoutExpiresAt: "" },
+        }
+      );
+      return true;
+    };
 
-    app.post("/vendors", verifyJWT, async (req, res) => {
-      try {
-        const vendor = req.body;
-        if (!vendor?.userEmail)
-          return res.status(400).send({ message: "userEmail required" });
-        vendor.createdAt = new Date();
-        vendor.verified = vendor.verified || false;
+    // The bookings of an order are bought together: once one unpaid booking
+    // drops out, the other unpaid ones are cancelled and give their seats back
+    // (carts just fall apart, see dissolveCart)
+    const abandonOrder = async (booking) => {
+      if (!booking.orderId) return;
+      if (await dissolveCart(booking.orderId)) return;
 
-        const result = await vendorsCollection.updateOne(
-          { userEmail: vendor.userEmail },
-          { $set: vendor },
-          { upsert: true }
-        );
-        res.send({ success: true, result });
-      } catch (err) {
-        console.error("POST /vendors error:", err);
-        res.status(500).send({ message: "Server error" });
-      }
-    });
+      const order = await ordersCollection.findOneAndUpdate(
+        { _id: booking.orderId, status: "pending" },
+        { $set: { status: "cancelled", cancelledAt: new Date() } }
+      );
+      if (!order) return;
 
-    app.get("/vendors", verifyJWT, verifyAdmin, async (req, res) => {
-      try {
-        const q = {};
-        if (req.query.verified !== undefined)
-          q.verified = req.query.verified === "true";
-        const vendors = await vendorsCollection
-          .find(q)
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(vendors);
-      } catch (err) {
-        console.error("GET /vendors error:", err);
-        res.status(500).send({ message: "Server error" });
+      if (order.checkoutSessionId && order.checkoutExpiresAt > new Date()) {
+        await paymentProvider
+          .expireCheckoutSession(order.checkoutSessionId)
+          .catch((err) => console.error("Order session expire error:", err));
       }
-    });
 
-    app.get("/vendors/:email", verifyJWT, async (req, res) => {
-      try {
-        const email = req.params.email;
+      const others = await bookingsCollection
+        .find({
+          orderId: booking.orderId,
+          _id: { $ne: booking._id },
+          status: { $in: ["pending", "accepted"] },
+        })
+        .toArray();
 
-        if (
-          email !== req.decoded.email &&
-          (await usersCollection.findOne({ email: req.decoded.email }))
-            ?.role !== "admin"
-        ) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
+      for (const other of others) {
+        const result = await bookingsCollection.updateOne(
+          { _id: other._id, status: other.status },
+          { $set: { status: "cancelled", cancelledAt: new Date() } }
+        );
+        if (result.modifiedCount) await releaseSeats(other);
+      }
+    };
 
-        const vendor = await vendorsCollection.findOne({ userEmail: email });
-        if (!vendor)
-          return res.status(404).send({ message: "Vendor not found" });
+    const expireStaleHolds = async () => {
+      const stale = await bookingsCollection
+        .find({
+          status: { $in: ["pending", "accepted"] },
+          holdExpiresAt: { $lte: new Date() },
+        })
+        .toArray();
 
-        res.send(vendor);
-      } catch (err) {
-        console.error("GET /vendors/:email error:", err);
-        res.status(500).send({ message: "Server error" });
+      let expired = 0;
+      for (const booking of stale) {
+        if (await expireBooking(booking)) expired++;
       }
-    });
+      return expired;
+    };
 
-    app.put("/vendors/:email", verifyJWT, async (req, res) => {
-      try {
-        const email = req.params.email;
-        if (email !== req.decoded.email) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
-        const update = req.body;
-        const result = await vendorsCollection.updateOne(
-          { userEmail: email },
-          { $set: update }
-        );
+    setInterval(() => {
+      expireStaleHolds().catch((err) =>
+        console.error("Hold sweeper error:", err)
+      );
+      expireStaleMoves().catch((err) =>
+        console.error("Reschedule sweeper error:", err)
+      );
+    }, HOLD_SWEEP_SECONDS * 1000).unref();
+
+    // Refunds `quantity` seats of a paid booking through Stripe, records the
+    // refund against its payment and returns the seats to the ticket.
+    // Returns null when another request is already refunding the booking.
+    const refundBooking = async (booking, payment, quantity, reason) => {
+      // claim it first, two cancels at once must not refund twice
+      const claimed = await bookingsCollection.updateOne(
+        { _id: booking._id, status: "paid", quantity: booking.quantity },
+        { $set: { status: "refunding" } }
+      );
+      if (!claimed.modifiedCount) return null;
 
-        res.send(result);
+      try {
+        return await issueBookingRefund(booking, payment, quantity, reason);
       } catch (err) {
-        console.error("PUT /vendors/:email error:", err);
-        res.status(500).send({ message: "Server error" });
+        await bookingsCollection.updateOne(
+          { _id: booking._id, status: "refunding" },
+          { $set: { status: "paid" } }
+        );
+        throw err;
       }
-    });
+    };
 
-    /*   ===============================
-                     TICKETS
-         =============================== */
+    const issueBookingRefund = async (booking, payment, quantity, reason) => {
+      const refundedQuantity = payment.refundedQuantity || 0;
+      const refundedAmount = payment.refundedAmount || 0;
+      const remainingQuantity = payment.quantity - refundedQuantity;
+
+      // the last seats take whatever is left so rounding never leaks cents
+      const amount =
+        quantity >= remainingQuantity
+          ? Math.round((payment.amount - refundedAmount) * 100) / 100
+          : Math.round((payment.amount / payment.quantity) * quantity * 100) /
+            100;
+
+      const stripeRefund = await paymentProvider.createRefund(
+        {
+          payment_intent: payment.transactionId,
+          amount: toMinorUnits(amount, payment.currency),
+          metadata: { bookingId: booking._id.toString() },
+        },
+        // payments of one order share the payment intent
+        `refund-${payment._id}-${refundedQuantity}-${quantity}`
+      );
 
-    app.patch("/tickets/:id", verifyJWT, async (req, res) => {
-      try {
-        const { id } = req.params;
-        const oid = toObjectId(id);
-        if (!oid) return res.status(400).send({ message: "Invalid id" });
+      const refund = {
+        paymentId: payment._id,
+        bookingId: booking._id,
+        ticketId: booking.ticketId,
+        customerEmail: booking.customerEmail,
+        amount,
+        quantity,
+        currency: payment.currency,
+        transactionId: payment.transactionId,
+        baseAmount: toBaseAmount(payment, amount),
+        stripeRefundId: stripeRefund.id,
+        status: stripeRefund.status,
+        reason: reason || "",
+        createdAt: new Date(),
+      };
+      await refundsCollection.insertOne(refund);
+      await postRefundLedger(payment, refund);
 
-        const updatedData = { ...req.body };
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: amount, refundedQuantity: quantity } }
+      );
 
-        delete updatedData.verificationStatus;
-        delete updatedData.vendorEmail;
-        delete updatedData.vendorName;
-        delete updatedData.createdAt;
-        delete updatedData._id;
+      // fare differences paid on reschedules go back with the same seats
+      const extras = await paymentsCollection
+        .find({ bookingId: booking._id, kind: "fare_difference" })
+        .toArray();
+      for (const extra of extras) {
+        const left = roundMoney(extra.amount - (extra.refundedAmount || 0));
+        const share =
+          quantity >= booking.quantity
+            ? left
+            : roundMoney((left * quantity) / booking.quantity);
+        if (share > 0) await refundPaymentAmount(booking, extra, share, reason);
+      }
 
-        const ticket = await ticketsCollection.findOne({ _id: oid });
-        if (!ticket) {
-          return res.status(404).send({ message: "Ticket not found" });
-        }
-        if (ticket.vendorEmail !== req.decoded.email) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
-        if (ticket.verificationStatus === "rejected") {
-          return res
-            .status(403)
-            .send({ message: "Rejected tickets cannot be updated" });
-        }
-        if ("perks" in updatedData) {
-          if (!Array.isArray(updatedData.perks)) {
-            updatedData.perks = [];
-          }
-        } else {
-          delete updatedData.perks;
-        }
+      // a partial refund gives up the booking's last seats
+      const freedSeats = booking.seats?.slice(
+        Math.max(0, booking.seats.length - quantity)
+      );
 
-        if (updatedData.price) updatedData.price = Number(updatedData.price);
-        if (updatedData.quantity)
-          updatedData.quantity = Number(updatedData.quantity);
+      const fullyRefunded = quantity >= booking.quantity;
+      await bookingsCollection.updateOne(
+        { _id: booking._id },
+        fullyRefunded
+          ? {
+              $set: { status: "refunded", refundedAt: refund.createdAt },
+              $inc: { refundedQuantity: quantity },
+            }
+          : {
+              $set: {
+                status: "paid",
+                ...(booking.passengers && {
+                  passengers: booking.passengers.slice(
+                    0,
+                    booking.quantity - quantity
+                  ),
+                }),
+              },
+              $inc: { quantity: -quantity, refundedQuantity: quantity },
+              ...(freedSeats?.length && {
+                $pullAll: { seats: freedSeats },
+              }),
+            }
+      );
 
-        const result = await ticketsCollection.updateOne(
-          { _id: oid },
-          { $set: updatedData }
-        );
+      await releaseSeats(booking, quantity, freedSeats);
 
-        res.send({ success: true, modifiedCount: result.modifiedCount });
-      } catch (err) {
-        console.error("PATCH /tickets/:id error:", err);
-        res.status(500).send({ message: "Server error" });
-      }
-    });
+      return refund;
+    };
 
-    app.post("/tickets", verifyJWT, verifyVendor, async (req, res) => {
-      try {
-        const {
-          title,
-          from,
-          to,
-          transport,
-          price,
-          quantity,
-          departure,
-          image,
-          perks,
-        } = req.body;
+    // Refunds part of a payment's money without giving up any seats, e.g.
+    // a fare difference or an overpayment after a reschedule
+    const refundPaymentAmount = async (booking, payment, amount, reason) => {
+      const refundedMinor = toMinorUnits(
+        payment.refundedAmount || 0,
+        payment.currency
+      );
+      const stripeRefund = await paymentProvider.createRefund(
+        {
+          payment_intent: payment.transactionId,
+          amount: toMinorUnits(amount, payment.currency),
+          metadata: { bookingId: booking._id.toString() },
+        },
+        `refund-${payment._id}-amount-${refundedMinor}-${toMinorUnits(
+          amount,
+          payment.currency
+        )}`
+      );
 
-        if (
-          !title ||
-          !from ||
-          !to ||
-          !transport ||
-          !price ||
-          !quantity ||
-          !departure ||
-          !image
-        ) {
-          return res
-            .status(400)
-            .send({ message: "All required fields missing" });
-        }
+      const refund = {
+        paymentId: payment._id,
+        bookingId: booking._id,
+        ticketId: booking.ticketId,
+        customerEmail: booking.customerEmail,
+        amount,
+        quantity: 0,
+        currency: payment.currency,
+        transactionId: payment.transactionId,
+        baseAmount: toBaseAmount(payment, amount),
+        stripeRefundId: stripeRefund.id,
+        status: stripeRefund.status,
+        reason: reason || "",
+        createdAt: new Date(),
+      };
+      await refundsCollection.insertOne(refund);
+      await postRefundLedger(payment, refund);
 
-        const safePerks = Array.isArray(perks) ? perks : [];
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: amount } }
+      );
+      return refund;
+    };
 
-        const ticket = {
-          title,
-          from,
-          to,
-          transport,
-          price: Number(price),
-          quantity: Number(quantity),
-          departure: new Date(departure),
-          image,
-          perks: safePerks,
-          vendorEmail: req.decoded.email,
-          verificationStatus: "pending",
-          advertised: false,
-          createdAt: new Date(),
-        };
+    // Records a refund that was issued outside TixGo (e.g. from the Stripe
+    // dashboard) once reconciliation notices it
+    const recordExternalRefund = async (payment, amount) => {
+      const booking = await bookingsCollection.findOne({
+        _id: payment.bookingId,
+      });
+      const remaining = roundMoney(
+        payment.amount - (payment.refundedAmount || 0)
+      );
+      const fullyRefunded = amount >= remaining;
+      const quantity = fullyRefunded ? booking?.quantity || 0 : 0;
+
+      const refund = {
+        paymentId: payment._id,
+        bookingId: payment.bookingId,
+        ticketId: payment.ticketId,
+        customerEmail: payment.customerEmail,
+        amount,
+        quantity,
+        currency: payment.currency,
+        transactionId: payment.transactionId,
+        stripeRefundId: null,
+        status: "succeeded",
+        reason: "Refunded outside TixGo",
+        source: "reconciliation",
+        createdAt: new Date(),
+      };
+      await refundsCollection.insertOne(refund);
+      await postRefundLedger(payment, refund);
 
-        const result = await ticketsCollection.insertOne(ticket);
-        res.send({ success: true, ticketId: result.insertedId });
-      } catch (error) {
-        console.error("Create ticket error:", error);
-        res.status(500).send({ message: "Server error" });
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $inc: { refundedAmount: amount, refundedQuantity: quantity } }
+      );
+
+      if (fullyRefunded && booking?.status === "paid") {
+        await bookingsCollection.updateOne(
+          { _id: booking._id, status: "paid" },
+          {
+            $set: { status: "refunded", refundedAt: refund.createdAt },
+            $inc: { refundedQuantity: quantity },
+          }
+        );
+        await releaseSeats(booking);
       }
-    });
+    };
 
-    app.get("/tickets", async (req, res) => {
-      try {
-        const { verificationStatus, advertised, limit, sort, vendorEmail } =
-          req.query;
+    const runReconciliation = ({ since, fix }) =>
+      reconcile({
+        provider: paymentProvider,
+        paymentsCollection,
+        bookingsCollection,
+        fixers: { recordPayment, recordExternalRefund },
+        since,
+        fix,
+      });
 
-        const filter = { hidden: { $ne: true } };
+    // used by reconcile.js
+    app.locals.runReconciliation = runReconciliation;
 
-        if (verificationStatus) filter.verificationStatus = verificationStatus;
-        if (advertised !== undefined) filter.advertised = advertised === "true";
-        if (vendorEmail) filter.vendorEmail = vendorEmail;
+    // // ----------------------------------------------------
+    // // ROOT
+    // // ----------------------------------------------------
+    // app.get("/", (req, res) => {
+    //   res.send("Tixgo backend is running! 🚀");
+    // });
 
-        let cursor = ticketsCollection.find(filter);
+    // || PAYMENT API ||
 
-        if (sort === "newest") cursor = cursor.sort({ createdAt: -1 });
-        if (limit) cursor = cursor.limit(parseInt(limit));
+    // ------------------
+    // CHECKOUT
+    // ------------------
+    // Stripe won't expire a session sooner than 30 minutes
+    const CHECKOUT_SESSION_MINUTES = Math.max(
+      Number(process.env.CHECKOUT_SESSION_MINUTES) || 30,
+      30
+    );
 
-        const result = await cursor.toArray();
-        res.send(result);
-      } catch (err) {
-        res.status(500).send({ message: "Server error" });
+    // Re-checks that a booking can still be paid for right now.
+    // Returns { ticket } or { error: { status, message } }.
+    const getPayableTicket = async (booking) => {
+      if (booking.status === "paid" || booking.paymentStatus === "paid") {
+        return { error: { status: 400, message: "Already paid" } };
       }
-    });
-
-    app.get("/tickets/vendor/:email", verifyJWT, async (req, res) => {
-      try {
-        const email = req.params.email;
-        if (email !== req.decoded.email) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
-        const tickets = await ticketsCollection
-          .find({
-            vendorEmail: email,
-            hidden: { $ne: true },
-          })
-          .sort({ createdAt: -1 })
-          .toArray();
 
-        res.send(tickets);
-      } catch (err) {
-        console.error("GET /tickets/vendor/:email error:", err);
-        res.status(500).send({ error: "Failed to fetch vendor tickets" });
+      if (booking.status === "expired" || isHoldExpired(booking)) {
+        return { error: { status: 400, message: "Booking hold expired" } };
       }
-    });
 
-    app.get("/tickets/advertised", async (req, res) => {
-      try {
-        const limit = parseInt(req.query.limit) || 6;
-
-        const advertisedTickets = await ticketsCollection
-          .find({
-            advertised: true,
-            verificationStatus: "approved",
-            hidden: { $ne: true },
-          })
-          .limit(limit)
-          .toArray();
+      if (booking.status !== "accepted") {
+        return {
+          error: {
+            status: 400,
+            message: "Booking must be accepted before payment",
+          },
+        };
+      }
 
-        res.send(advertisedTickets);
-      } catch (error) {
-        res.status(400).send({ message: "Failed to fetch advertised tickets" });
+      const ticket = await ticketsCollection.findOne({
+        _id: booking.ticketId,
+      });
+      if (!ticket || ticket.hidden === true) {
+        return { error: { status: 404, message: "Ticket not found" } };
       }
-    });
 
-    app.patch(
-      "/tickets/:id/approve",
-      verifyJWT,
-      verifyAdmin,
-      async (req, res) => {
-        try {
-          const id = req.params.id;
-          const oid = toObjectId(id);
-          if (!oid) return res.status(400).send({ message: "invalid id" });
+      if (ticket.verificationStatus !== "approved") {
+        return { error: { status: 400, message: "Ticket not approved" } };
+      }
 
-          const result = await ticketsCollection.updateOne(
-            { _id: oid },
-            { $set: { verificationStatus: "approved" } }
-          );
-          if (!result.matchedCount)
-            return res.status(404).send({ message: "Ticket not found" });
+      if (ticket.cancelled) {
+        return { error: { status: 400, message: "Trip was cancelled" } };
+      }
 
-          res.send({ success: true, modifiedCount: result.modifiedCount });
-        } catch (err) {
-          console.error("PATCH /tickets/:id/approve error:", err);
-          res.status(500).send({ message: "Server error" });
-        }
+      if (new Date(ticket.departure) <= new Date()) {
+        return { error: { status: 400, message: "Departure time passed" } };
       }
-    );
 
-    app.patch(
-      "/tickets/:id/reject",
-      verifyJWT,
-      verifyAdmin,
-      async (req, res) => {
-        try {
-          const id = req.params.id;
-          const oid = toObjectId(id);
-          if (!oid) return res.status(400).send({ message: "invalid id" });
+      if (needsPassengerIds(ticket) && !booking.passengers) {
+        return {
+          error: {
+            status: 400,
+            message: "Add passenger details before paying",
+          },
+        };
+      }
 
-          const result = await ticketsCollection.updateOne(
-            { _id: oid },
-            { $set: { verificationStatus: "rejected" } }
-          );
-          if (!result.matchedCount)
-            return res.status(404).send({ message: "Ticket not found" });
+      const unitPrice = Number(booking.price);
+      const quantity = Number(booking.quantity);
 
-          res.send({ success: true, modifiedCount: result.modifiedCount });
-        } catch (err) {
-          console.error("PATCH /tickets/:id/reject error:", err);
-          res.status(500).send({ message: "Server error" });
-        }
+      if (!unitPrice || !quantity || unitPrice <= 0 || quantity <= 0) {
+        return { error: { status: 400, message: "Invalid price or quantity" } };
       }
-    );
 
-    app.patch(
-      "/tickets/:id/advertise",
-      verifyJWT,
-      verifyAdmin,
-      async (req, res) => {
-        try {
-          const id = req.params.id;
-          const { advertised } = req.body;
-          if (typeof advertised !== "boolean")
-            return res
-              .status(400)
-              .send({ message: "advertised must be boolean" });
+      const currency = currencyOf(booking);
+      if ((await getExchangeRate(currency)) === null) {
+        return {
+          error: {
+            status: 400,
+            message: `${currency.toUpperCase()} payments are not enabled`,
+          },
+        };
+      }
 
-          if (advertised) {
-            const count = await ticketsCollection.countDocuments({
-              verificationStatus: "approved",
-              advertised: true,
-            });
-            if (count >= 6) {
-              return res
-                .status(400)
-                .send({ message: "Cannot advertise more than 6 tickets" });
-            }
-          }
+      return { ticket };
+    };
 
-          const oid = toObjectId(id);
-          if (!oid) return res.status(400).send({ message: "invalid id" });
+    const sameText = (a, b) =>
+      String(a || "").toLowerCase() === String(b || "").toLowerCase();
 
-          const result = await ticketsCollection.updateOne(
-            { _id: oid },
-            { $set: { advertised } }
-          );
-          if (!result.matchedCount)
-            return res.status(404).send({ message: "Ticket not found" });
+    // Looks up a coupon and checks it can be used on this booking.
+    // Returns { coupon } or { error: { status, message } }.
+    const getApplicableCoupon = async (code, booking, ticket) => {
+      const coupon = await couponsCollection.findOne({ code });
+      if (!coupon || coupon.active === false) {
+        return { error: { status: 404, message: "Coupon not found" } };
+      }
 
-          res.send({ success: true, modifiedCount: result.modifiedCount });
-        } catch (err) {
-          console.error("PATCH /tickets/:id/advertise error:", err);
-          res.status(500).send({ message: "Server error" });
-        }
+      const now = new Date();
+      if (
+        (coupon.validFrom && coupon.validFrom > now) ||
+        (coupon.validUntil && coupon.validUntil < now)
+      ) {
+        return { error: { status: 400, message: "Coupon is not valid now" } };
       }
-    );
 
-    // Delete ticket
-    app.delete("/tickets/:id", verifyJWT, async (req, res) => {
-      const id = toObjectId(req.params.id);
-      if (!id) return res.status(400).send({ message: "Invalid id" });
-      const ticket = await ticketsCollection.findOne({ _id: id });
-      if (!ticket) {
-        return res.status(404).send({ message: "Ticket not found" });
+      if (
+        (coupon.from && !sameText(coupon.from, ticket.from)) ||
+        (coupon.to && !sameText(coupon.to, ticket.to)) ||
+        (coupon.transport && !sameText(coupon.transport, ticket.transport)) ||
+        (coupon.vendorEmail && coupon.vendorEmail !== ticket.vendorEmail) ||
+        (coupon.customerEmail &&
+          coupon.customerEmail !== booking.customerEmail) ||
+        (coupon.discountType === "fixed" &&
+          (coupon.currency || "usd") !== currencyOf(booking))
+      ) {
+        return {
+          error: {
+            status: 400,
+            message: "Coupon does not apply to this ticket",
+          },
+        };
       }
-      if (ticket.vendorEmail !== req.decoded.email) {
-        return res.status(403).send({ message: "Forbidden" });
+
+      if (coupon.maxUses && (coupon.usedCount || 0) >= coupon.maxUses) {
+        return {
+          error: { status: 400, message: "Coupon usage limit reached" },
+        };
       }
 
-      if (ticket.verificationStatus === "rejected") {
-        return res.status(403).send({
-          message: "Rejected tickets cannot be deleted",
+      if (coupon.perUserLimit) {
+        const used = await paymentsCollection.countDocuments({
+          couponCode: code,
+          customerEmail: booking.customerEmail,
         });
+        if (used >= coupon.perUserLimit) {
+          return {
+            error: {
+              status: 400,
+              message: "You have already used this coupon",
+            },
+          };
+        }
       }
 
-      const result = await ticketsCollection.deleteOne({ _id: id });
-      res.send(result);
-    });
+      return { coupon };
+    };
 
-    app.get("/tickets/:id", async (req, res) => {
-      try {
-        const id = req.params.id;
-        const oid = toObjectId(id);
-        if (!oid) return res.status(400).send({ message: "invalid id" });
+    // Discount in minor units for a subtotal in minor units, never more
+    // than the subtotal
+    const discountMinorUnits = (coupon, subtotal, currency) => {
+      if (!coupon) return 0;
 
-        const ticket = await ticketsCollection.findOne({
-          _id: oid,
-          hidden: { $ne: true },
-        });
-        if (!ticket)
-          return res.status(404).send({ message: "Ticket not found" });
-        res.send(ticket);
-      } catch (err) {
-        console.error("GET /tickets/:id error:", err);
-        res.status(500).send({ message: "Server error" });
-      }
-    });
+      const discount =
+        coupon.discountType === "percent"
+          ? Math.round((subtotal * coupon.value) / 100)
+          : toMinorUnits(coupon.value, currency);
 
-    /* ===============================
-                  BOOKINGS
-       ================================ */
+      return Math.min(discount, subtotal);
+    };
 
-    app.post("/bookings", verifyJWT, async (req, res) => {
-      try {
-        const { ticketId, quantity, customerEmail } = req.body;
+    // Returns the booking's still-open Stripe session or creates a new one.
+    // Returns null when the previous session turned out to be paid already.
+    const openCheckoutSession = async (booking, ticket, coupon = null) => {
+      const couponCode = coupon?.code || null;
 
-        if (customerEmail !== req.decoded.email) {
-          return res.status(403).send({ message: "Forbidden" });
-        }
+      if (booking.checkoutSessionId && booking.checkoutExpiresAt > new Date()) {
+        const existing = await paymentProvider.retrieveCheckoutSession(
+          booking.checkoutSessionId
+        );
 
-        if (!ticketId || !quantity || quantity <= 0) {
-          return res
-            .status(400)
-            .send({ message: "ticketId and valid quantity required" });
+        if (existing.payment_status === "paid") {
+          await recordPayment(existing);
+          return null;
         }
 
-        const ticketOid = toObjectId(ticketId);
-        if (!ticketOid)
-          return res.status(400).send({ message: "Invalid ticketId" });
-
-        const ticket = await ticketsCollection.findOne({ _id: ticketOid });
-        if (!ticket)
-          return res.status(404).send({ message: "Ticket not found" });
+        if (existing.status === "open") {
+          if ((booking.couponCode || null) === couponCode) return existing;
 
-        if (ticket.verificationStatus !== "approved") {
-          return res.status(400).send({ message: "Ticket not approved" });
+          // the coupon changed, the old session must not be payable anymore
+          await paymentProvider.expireCheckoutSession(existing.id);
         }
+      }
 
-        const reserve = await ticketsCollection.updateOne(
-          { _id: ticketOid, quantity: { $gte: quantity } },
-          { $inc: { quantity: -quantity } }
-        );
+      if (!process.env.SITE_DOMAIN) {
+        throw new Error("SITE_DOMAIN is not defined");
+      }
 
-        if (!reserve.modifiedCount) {
-          return res
-            .status(400)
-            .send({ message: "Not enough tickets available" });
-        }
+      const quantity = Number(booking.quantity);
+      const currency = currencyOf(booking);
+      const unitAmount = toMinorUnits(booking.price, currency);
+      const subtotal = unitAmount * quantity;
+      const discount = discountMinorUnits(coupon, subtotal, currency);
+
+      let discounts;
+      if (discount > 0) {
+        const couponId = await paymentProvider.createDiscount({
+          amountOff: discount,
+          currency,
+          name: couponCode,
+        });
+        discounts = [{ coupon: couponId }];
+      }
 
-        const newBooking = {
-          ticketId: ticket._id,
-          vendorEmail: ticket.vendorEmail,
-          customerEmail,
-          title: ticket.title,
-          price: ticket.price,
-          quantity,
-          status: "pending",
-          createdAt: new Date(),
-        };
+      const expiresAt = new Date(
+        Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000
+      );
+      const metadata = {
+        bookingId: booking._id.toString(),
+        ticketId: booking.ticketId.toString(),
+        quantity: quantity.toString(),
+        vendorEmail: booking.vendorEmail || ticket.vendorEmail,
+        ...(couponCode && { couponCode }),
+      };
 
-        const result = await bookingsCollection.insertOne(newBooking);
+      const session = await paymentProvider.createCheckoutSession({
+        mode: "payment",
+        payment_method_types: ["card"],
+        customer_email: booking.customerEmail,
+        line_items: [
+          {
+            price_data: {
+              currency,
+              unit_amount: unitAmount,
+              product_data: {
+                name: booking.title,
+              },
+            },
+            quantity,
+          },
+        ],
+        ...(discounts && { discounts }),
+        metadata,
+        payment_intent_data: { metadata },
+        expires_at: Math.floor(expiresAt.getTime() / 1000),
+        success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
+      });
 
-        res.send({
-          success: true,
-          bookingId: result.insertedId,
-        });
-      } catch (err) {
-        console.error("POST /bookings error:", err);
-        res.status(500).send({ message: "Server error" });
-      }
-    });
+      await bookingsCollection.updateOne(
+        { _id: booking._id },
+        {
+          $set: {
+            checkoutSessionId: session.id,
+            checkoutExpiresAt: expiresAt,
+            // don't release the seats while Stripe can still take the money
+            holdExpiresAt: new Date(
+              Math.max(expiresAt, booking.holdExpiresAt || 0)
+            ),
+            couponCode,
+            originalAmount: fromMinorUnits(subtotal, currency),
+            discountAmount: fromMinorUnits(discount, currency),
+          },
+        }
+      );
 
-    app.get("/bookings", verifyJWT, async (req, res) => {
+      return session;
+    };
+
+    const createCheckout = async (req, res) => {
       try {
-        const email = req.query.email;
+        const bookingOid = toObjectId(req.body?.bookingId);
+        if (!bookingOid) {
+          return res.status(400).send({ message: "Invalid booking id" });
+        }
 
-        if (email !== req.decoded.email) {
+        const booking = await bookingsCollection.findOne({ _id: bookingOid });
+        if (!booking) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
+
+        if (booking.customerEmail !== req.decoded.email) {
           return res.status(403).send({ message: "Forbidden" });
         }
 
-        const bookings = await bookingsCollection
-          .aggregate([
-            { $match: { customerEmail: email } },
-            {
-              $lookup: {
-                from: "tickets",
-                localField: "ticketId",
-                foreignField: "_id",
-                as: "ticket",
-              },
+        if (booking.orderId) {
+          return res
+            .status(400)
+            .send({ message: "This booking is paid through its order" });
+        }
+
+        const { ticket, error } = await getPayableTicket(booking);
+        if (error) {
+          return res.status(error.status).send({ message: error.message });
+        }
+
+        // no couponCode keeps the one already applied, null or "" removes it
+        let couponCode = booking.couponCode || null;
+        if (req.body.couponCode !== undefined) {
+          couponCode = req.body.couponCode
+            ? String(req.body.couponCode).trim().toUpperCase()
+            : null;
+        }
+
+        let coupon = null;
+        if (couponCode) {
+          const check = await getApplicableCoupon(couponCode, booking, ticket);
+          if (check.error) {
+            return res
+              .status(check.error.status)
+              .send({ message: check.error.message });
+          }
+          coupon = check.coupon;
+
+          // roughly Stripe's minimum charge
+          const currency = currencyOf(booking);
+          const subtotal =
+            toMinorUnits(booking.price, currency) * Number(booking.quantity);
+          if (subtotal - discountMinorUnits(coupon, subtotal, currency) < 50) {
+            return res.status(400).send({
+              message: "Discounted total is below the minimum charge",
+            });
+          }
+        }
+
+        const session = await openCheckoutSession(booking, ticket, coupon);
+        if (!session) {
+          return res.status(400).send({ message: "Already paid" });
+        }
+
+        res.send({ url: session.url, sessionId: session.id });
+      } catch (err) {
+        console.error("Stripe Checkout Error:", err);
+        res.status(500).send({ message: err.message });
+      }
+    };
+
+    // both paths are kept for older clients
+    app.post("/create-ticket-checkout", verifyJWT, createCheckout);
+    app.post("/payments/create-checkout-session", verifyJWT, createCheckout);
+
+    /* ===============================
+         Order Checkout
+    ================================ */
+    // An order groups bookings (the legs of a journey, or a customer's cart
+    // of bookings, possibly from different vendors) that are paid with one
+    // Checkout session, one line item per booking. recordPayment splits the
+    // money back into a payment per booking.
+    const CART_MAX_BOOKINGS = Number(process.env.CART_MAX_BOOKINGS) || 10;
+
+    // Returns { bookings } when every booking of the order can be paid
+    // right now, or { error: { status, message } }
+    const getPayableOrder = async (order) => {
+      if (order.status === "paid") {
+        return { error: { status: 400, message: "Already paid" } };
+      }
+      if (order.status !== "pending") {
+        return { error: { status: 400, message: "Order was cancelled" } };
+      }
+
+      const found = await bookingsCollection
+        .find({ _id: { $in: order.bookingIds } })
+        .toArray();
+      const bookings = order.bookingIds
+        .map((id) => found.find((b) => b._id.equals(id)))
+        .filter(Boolean);
+      if (bookings.length !== order.bookingIds.length) {
+        return { error: { status: 404, message: "Booking not found" } };
+      }
+
+      for (const booking of bookings) {
+        const { error } = await getPayableTicket(booking);
+        if (error) {
+          return {
+            error: {
+              status: error.status,
+              message: `${booking.title}: ${error.message}`,
             },
-            { $unwind: "$ticket" },
-            {
-              $project: {
-                _id: 1,
-                quantity: 1,
-                status: 1,
-                createdAt: 1,
+          };
+        }
+      }
 
-                title: "$ticket.title",
-                image: "$ticket.image",
-                from: "$ticket.from",
-                to: "$ticket.to",
-                departure: "$ticket.departure",
-                price: "$ticket.price",
-              },
+      return { bookings };
+    };
+
+    // Same as openCheckoutSession, for a whole order
+    const openOrderCheckoutSession = async (order, bookings) => {
+      if (order.checkoutSessionId && order.checkoutExpiresAt > new Date()) {
+        const existing = await paymentProvider.retrieveCheckoutSession(
+          order.checkoutSessionId
+        );
+
+        if (existing.payment_status === "paid") {
+          await recordPayment(existing);
+          return null;
+        }
+        if (existing.status === "open") return existing;
+      }
+
+      if (!process.env.SITE_DOMAIN) {
+        throw new Error("SITE_DOMAIN is not defined");
+      }
+
+      const { currency } = order;
+      const expiresAt = new Date(
+        Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000
+      );
+      const metadata = { orderId: order._id.toString() };
+
+      const session = await paymentProvider.createCheckoutSession({
+        mode: "payment",
+        payment_method_types: ["card"],
+        customer_email: order.customerEmail,
+        line_items: bookings.map((booking) => ({
+          price_data: {
+            currency,
+            unit_amount: toMinorUnits(booking.price, currency),
+            product_data: { name: booking.title },
+          },
+          quantity: Number(booking.quantity),
+        })),
+        metadata,
+        payment_intent_data: { metadata },
+        expires_at: Math.floor(expiresAt.getTime() / 1000),
+        success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
+      });
+
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        {
+          $set: { checkoutSessionId: session.id, checkoutExpiresAt: expiresAt },
+        }
+      );
+
+      for (const booking of bookings) {
+        await bookingsCollection.updateOne(
+          { _id: booking._id },
+          {
+            $set: {
+              checkoutSessionId: session.id,
+              checkoutExpiresAt: expiresAt,
+              holdExpiresAt: new Date(
+                Math.max(expiresAt, booking.holdExpiresAt || 0)
+              ),
+              originalAmount: roundMoney(booking.price * booking.quantity),
+              discountAmount: 0,
             },
-          ])
+          }
+        );
+      }
+
+      return session;
+    };
+
+    app.get("/orders/:id", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const order = await ordersCollection.findOne({ _id: oid });
+        if (!order || order.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Order not found" });
+
+        // dropped carts give their bookings back, the ids stay on the order
+        const bookings = await bookingsCollection
+          .find({ _id: { $in: order.bookingIds } })
+          .project({
+            ticketId: 1,
+            title: 1,
+            quantity: 1,
+            seats: 1,
+            price: 1,
+            status: 1,
+            holdExpiresAt: 1,
+          })
           .toArray();
 
-        res.send(bookings);
+        res.send({ ...order, bookings });
       } catch (err) {
-        console.error("GET /bookings error:", err);
+        console.error("GET /orders/:id error:", err);
         res.status(500).send({ message: "Server error" });
       }
     });
 
-    app.patch("/bookings/:id/accept", verifyJWT, async (req, res) => {
-      const id = toObjectId(req.params.id);
-      if (!id) return res.status(400).send({ message: "Invalid id" });
+    // Puts accepted bookings of the customer into one cart order, paid
+    // through POST /orders/:id/checkout
+    app.post("/orders", verifyJWT, async (req, res) => {
+      try {
+        const { bookingIds } = req.body || {};
+        if (
+          !Array.isArray(bookingIds) ||
+          bookingIds.length < 2 ||
+          bookingIds.length > CART_MAX_BOOKINGS
+        ) {
+          return res.status(400).send({
+            message: `bookingIds must list 2-${CART_MAX_BOOKINGS} bookings`,
+          });
+        }
 
-      const booking = await bookingsCollection.findOne({ _id: id });
-      if (!booking)
-        return res.status(404).send({ message: "Booking not found" });
+        const ids = bookingIds.map((id) => (id ? toObjectId(id) : null));
+        if (ids.includes(null)) {
+          return res.status(400).send({ message: "Invalid booking id" });
+        }
+        if (new Set(ids.map(String)).size !== ids.length) {
+          return res.status(400).send({ message: "Duplicate booking id" });
+        }
 
-      if (booking.vendorEmail !== req.decoded.email) {
-        return res.status(403).send({ message: "Forbidden" });
-      }
+        const found = await bookingsCollection
+          .find({ _id: { $in: ids } })
+          .toArray();
+        const bookings = ids
+          .map((id) => found.find((b) => b._id.equals(id)))
+          .filter(
+            (booking) => booking && booking.customerEmail === req.decoded.email
+          );
+        if (bookings.length !== ids.length) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
 
-      if (booking.status !== "pending") {
-        return res
-          .status(400)
-          .send({ message: "Only pending bookings can be accepted" });
-      }
+        for (const booking of bookings) {
+          if (booking.orderId) {
+            return res.status(400).send({
+              message: `${booking.title}: booking is already in an order`,
+            });
+          }
+          const { error } = await getPayableTicket(booking);
+          if (error) {
+            return res
+              .status(error.status)
+              .send({ message: `${booking.title}: ${error.message}` });
+          }
+        }
 
-      const result = await bookingsCollection.updateOne(
-        { _id: id },
-        { $set: { status: "accepted", acceptedAt: new Date() } }
-      );
+        // one Checkout session can only charge one currency
+        const currency = currencyOf(bookings[0]);
+        if (bookings.some((booking) => currencyOf(booking) !== currency)) {
+          return res
+            .status(400)
+            .send({ message: "Bookings are priced in different currencies" });
+        }
 
-      res.send({ success: true, modifiedCount: result.modifiedCount });
+        // a booking's own session must not be payable next to the cart's
+        for (const booking of bookings) {
+          if (
+            !booking.checkoutSessionId ||
+            booking.checkoutExpiresAt <= new Date()
+          ) {
+            continue;
+          }
+          const existing = await paymentProvider.retrieveCheckoutSession(
+            booking.checkoutSessionId
+          );
+          if (existing.payment_status === "paid") {
+            await recordPayment(existing);
+            return res
+              .status(400)
+              .send({ message: `${booking.title}: Already paid` });
+          }
+          if (existing.status === "open") {
+            await paymentProvider.expireCheckoutSession(existing.id);
+          }
+        }
+
+        // claim every booking or none, a parallel request may be faster
+        const orderId = new ObjectId();
+        const claimed = await bookingsCollection.updateMany(
+          {
+            _id: { $in: ids },
+            orderId: { $exists: false },
+            status: "accepted",
+          },
+          {
+            // order sessions have no discounts
+            $set: { orderId, couponCode: null },
+            $unset: { checkoutSessionId: "", checkoutExpiresAt: "" },
+          }
+        );
+        if (claimed.modifiedCount !== ids.length) {
+          await bookingsCollection.updateMany(
+            { orderId },
+            { $unset: { orderId: "" } }
+          );
+          return res
+            .status(409)
+            .send({ message: "Bookings changed meanwhile, try again" });
+        }
+
+        await ordersCollection.insertOne({
+          _id: orderId,
+          kind: "cart",
+          customerEmail: req.decoded.email,
+          bookingIds: ids,
+          currency,
+          totalAmount: roundMoney(
+            bookings.reduce((sum, b) => sum + b.price * b.quantity, 0)
+          ),
+          status: "pending",
+          createdAt: new Date(),
+        });
+
+        res.send({ success: true, orderId, bookingIds: ids });
+      } catch (err) {
+        console.error("POST /orders error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
     });
 
-    app.patch("/bookings/:id/reject", verifyJWT, async (req, res) => {
-      const id = toObjectId(req.params.id);
-      if (!id) return res.status(400).send({ message: "Invalid id" });
+    // Drops a cart, its bookings can be paid one by one again
+    app.delete("/orders/:id", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
 
-      const booking = await bookingsCollection.findOne({ _id: id });
-      if (!booking)
-        return res.status(404).send({ message: "Booking not found" });
+        const order = await ordersCollection.findOne({ _id: oid });
+        if (!order || order.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Order not found" });
+        if (order.kind !== "cart") {
+          return res
+            .status(400)
+            .send({ message: "Only carts can be dropped, cancel a booking" });
+        }
 
-      if (booking.vendorEmail !== req.decoded.email)
-        return res.status(403).send({ message: "Forbidden" });
+        if (!(await dissolveCart(oid))) {
+          return res
+            .status(400)
+            .send({ message: `Order is already ${order.status}` });
+        }
 
-      if (booking.status !== "pending") {
-        return res
-          .status(400)
-          .send({ message: "Only pending bookings can be rejected" });
+        res.send({ success: true });
+      } catch (err) {
+        console.error("DELETE /orders/:id error:", err);
+        res.status(500).send({ message: "Server error" });
       }
-      await ticketsCollection.updateOne(
-        { _id: booking.ticketId },
-        { $inc: { quantity: booking.quantity } }
-      );
+    });
 
-      await bookingsCollection.updateOne(
-        { _id: id },
-        { $set: { status: "rejected", rejectedAt: new Date() } }
-      );
+    app.post("/orders/:id/checkout", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
 
-      res.send({ success: true });
+        const order = await ordersCollection.findOne({ _id: oid });
+        if (!order || order.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Order not found" });
+
+        const { bookings, error } = await getPayableOrder(order);
+        if (error) {
+          // nothing of a cart is charged once one booking can't be paid
+          const dissolved =
+            order.kind === "cart" && (await dissolveCart(order._id));
+          return res.status(error.status).send({
+            message: error.message,
+            ...(dissolved && { orderCancelled: true }),
+          });
+        }
+
+        const session = await openOrderCheckoutSession(order, bookings);
+        if (!session) {
+          return res.status(400).send({ message: "Already paid" });
+        }
+
+        res.send({ url: session.url, sessionId: session.id });
+      } catch (err) {
+        console.error("Order Checkout Error:", err);
+        res.status(500).send({ message: err.message });
+      }
     });
 
-    app.get("/bookings/vendor/:email", verifyJWT, async (req, res) => {
+    // VERIFY PAYMENT
+    app.post("/payments/verify", async (req, res) => {
       try {
-        const vendorEmail = req.params.email;
+        const { sessionId } = req.body;
 
-        if (vendorEmail !== req.decoded.email) {
-          return res.status(403).send({ message: "Forbidden" });
+        const session = await paymentProvider.retrieveCheckoutSession(
+          sessionId
+        );
+
+        if (session.payment_status !== "paid") {
+          return res.status(400).send({ message: "Payment not completed" });
         }
 
-        const bookings = await bookingsCollection
-          .aggregate([
-            {
-              $lookup: {
-                from: "tickets",
-                localField: "ticketId",
-                foreignField: "_id",
-                as: "ticket",
-              },
-            },
-            { $unwind: "$ticket" },
+        const { found } = await recordPayment(session);
+        if (!found) {
+          return res.status(404).send({ message: "Booking not found" });
+        }
 
-            {
-              $match: {
-                "ticket.vendorEmail": vendorEmail,
+        res.send({ success: true });
+      } catch (err) {
+        console.error("Payment verify error:", err);
+        res.status(500).send({ message: "Payment verification failed" });
+      }
+    });
+
+    // ------------------
+    // STRIPE WEBHOOK
+    // ------------------
+    app.post(
+      "/stripe/webhook",
+      createWebhookHandler({
+        stripe,
+        secret: process.env.STRIPE_WEBHOOK_SECRET,
+        handlers: {
+          "checkout.session.completed": async (object) => {
+            if (object.payment_status === "paid") {
+              await recordPayment(object);
+            }
+          },
+
+          "checkout.session.expired": async (object) => {
+            // a newer session may have replaced this one in the meantime
+            await bookingsCollection.updateMany(
+              { checkoutSessionId: object.id, status: { $ne: "paid" } },
+              {
+                $set: { paymentStatus: "expired" },
+                $unset: { checkoutSessionId: "", checkoutExpiresAt: "" },
+              }
+            );
+            await ordersCollection.updateOne(
+              { checkoutSessionId: object.id },
+              { $unset: { checkoutSessionId: "", checkoutExpiresAt: "" } }
+            );
+            await campaignsCollection.updateOne(
+              { checkoutSessionId: object.id, status: "pending_payment" },
+              { $set: { status: "expired" } }
+            );
+            const moving = await bookingsCollection.findOne({
+              "pendingMove.checkoutSessionId": object.id,
+            });
+            if (moving) await dropPendingMove(moving);
+          },
+
+          "payment_intent.payment_failed": async (object) => {
+            await markPaymentIssue(object.metadata, "failed", {
+              paymentError: object.last_payment_error?.message || null,
+            });
+          },
+        },
+      })
+    );
+
+    // ------------------
+    // PAYMENT SUCCESS
+    // ------------------
+    app.post("/stripe/payment-success", async (req, res) => {
+      try {
+        const sessionId = req.query.session_id;
+        if (!sessionId) {
+          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
+        }
+
+        const session = await paymentProvider.retrieveCheckoutSession(
+          sessionId
+        );
+        console.log("Stripe Session:", session);
+        if (session.payment_status !== "paid") {
+          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
+        }
+
+        const bookingId = toObjectId(
+          session.metadata.bookingId ||
+            session.metadata.orderId ||
+            session.metadata.campaignId
+        );
+        if (!bookingId) {
+          return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
+        }
+
+        const alreadyPaid = await paymentsCollection.findOne({
+          transactionId: session.payment_intent,
+        });
+
+        // return res.redirect(
+        //   `${process.env.SITE_DOMAIN}/payment-success?session_id=${sessionId}`
+        // );
+        res.send({ success: true, message: "Payment verified" });
+      } catch (err) {
+        console.error("Payment Success Error:", err);
+        // return res.redirect(`${process.env.SITE_DOMAIN}/payment-failed`);
+      }
+    });
+
+    // ------------------
+    // PAYMENT CANCELLED
+    // ------------------
+    app.get("/stripe/payment-cancelled", async (req, res) => {
+      try {
+        const bookingId = toObjectId(req.query.bookingId);
+        if (!bookingId) {
+          return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
+        }
+
+        const bookingOid = toObjectId(bookingId);
+        if (!bookingOid) {
+          return res.status(400).send({ message: "Invalid bookingId" });
+        }
+
+        const booking = await bookingsCollection.findOne({ _id: bookingOid });
+
+        // a payment may complete at the same moment, only the one who
+        // changes the status gets to touch the seats
+        if (booking && booking.status === "accepted") {
+          const result = await bookingsCollection.updateOne(
+            { _id: bookingOid, status: "accepted" },
+            { $set: { status: "cancelled", cancelledAt: new Date() } }
+          );
+          if (result.modifiedCount) {
+            await releaseSeats(booking);
+            await abandonOrder(booking);
+          }
+        }
+
+        return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
+      } catch (err) {
+        return res.redirect(`${process.env.SITE_DOMAIN}/payment-cancelled`);
+      }
+    });
+
+    // ------------------
+    // Payment Related API
+    // ------------------
+    app.get("/payments", verifyJWT, async (req, res) => {
+      const email = req.decoded.email;
+
+      const payments = await paymentsCollection
+        .find({ customerEmail: email })
+        .sort({ paidAt: -1 })
+        .toArray();
+
+      res.send(payments);
+    });
+
+    // Prices are tax-inclusive, the receipt just shows the tax share
+    const TAX_PERCENT = Number(process.env.TAX_PERCENT) || 0;
+
+    app.get("/payments/:id/receipt.pdf", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const payment = await paymentsCollection.findOne({ _id: oid });
+        if (!payment)
+          return res.status(404).send({ message: "Payment not found" });
+
+        const ticket = await ticketsCollection.findOne({
+          _id: payment.ticketId,
+        });
+        const email = req.decoded.email;
+
+        if (
+          email !== payment.customerEmail &&
+          email !== (ticket?.vendorEmail || payment.vendorEmail) &&
+          (await usersCollection.findOne({ email }))?.role !== "admin"
+        ) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const invoiceNumber = await assignInvoiceNumber(payment._id);
+        const customer = await usersCollection.findOne({
+          email: payment.customerEmail,
+        });
+
+        const subtotal = payment.originalAmount ?? payment.amount;
+        const tax =
+          Math.round(
+            (payment.amount - payment.amount / (1 + TAX_PERCENT / 100)) * 100
+          ) / 100;
+
+        const pdf = await renderReceiptPdf({
+          invoiceNumber,
+          issuedAt: new Date(),
+          paidAt: payment.paidAt,
+          customerName: customer?.name,
+          customerEmail: payment.customerEmail,
+          ticketTitle: payment.ticketTitle || ticket?.title,
+          from: ticket?.from,
+          to: ticket?.to,
+          transport: ticket?.transport,
+          departure: ticket?.departure,
+          quantity: payment.quantity,
+          unitPrice: payment.quantity ? subtotal / payment.quantity : subtotal,
+          subtotal,
+          discount: payment.discountAmount || 0,
+          couponCode: payment.couponCode,
+          taxPercent: TAX_PERCENT,
+          tax,
+          total: payment.amount,
+          refunded: payment.refundedAmount || 0,
+          currency: payment.currency,
+          transactionId: payment.transactionId,
+        });
+
+        res.set({
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `attachment; filename="${invoiceNumber}.pdf"`,
+        });
+        res.send(pdf);
+      } catch (err) {
+        console.error("GET /payments/:id/receipt.pdf error:", err);
+        res.status(500).send({ message: "Failed to generate receipt" });
+      }
+    });
+
+    /* ===============================
+       USERS
+    ================================ */
+
+    app.get("/users/role", verifyJWT, async (req, res) => {
+      const email = req.decoded.email;
+      const user = await usersCollection.findOne({ email });
+      res.send({ role: user?.role || "user" });
+    });
+
+    app.post("/users", async (req, res) => {
+      const { email, name, photo } = req.body;
+      if (!email) return res.status(400).send({ message: "email required" });
+
+      const existingUser = await usersCollection.findOne({ email });
+
+      if (existingUser) {
+        await usersCollection.updateOne(
+          { email },
+          {
+            $set: {
+              name: name || existingUser.name,
+              photo: photo || existingUser.photo,
+              lastLogin: new Date(),
+            },
+          }
+        );
+        return res.send({ success: true, message: "User updated" });
+      }
+
+      await usersCollection.insertOne({
+        email,
+        name: name || "",
+        photo: photo || "",
+        role: "user",
+        isFraud: false,
+        createdAt: new Date(),
+      });
+
+      res.send({ success: true, message: "User created" });
+    });
+
+    app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
+      const q = {};
+      if (req.query.role) q.role = req.query.role;
+      const users = await usersCollection
+        .find(q)
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.send(users);
+    });
+
+    app.get("/users/profile", verifyJWT, async (req, res) => {
+      const email = req.decoded.email;
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) return res.status(404).send({ message: "User not found" });
+
+      res.send(user);
+    });
+
+    app.put("/users/:email", verifyJWT, verifyAdmin, async (req, res) => {
+      const { name, photo, phone } = req.body;
+
+      const update = {
+        ...(name && { name }),
+        ...(photo && { photo }),
+        ...(phone && { phone }),
+      };
+
+      const result = await usersCollection.updateOne(
+        { email: req.params.email },
+        { $set: update }
+      );
+
+      res.send({ success: true, result });
+    });
+
+    /* ===============================
+                  VENDORS
+      ================================ */
+
+    app.post("/vendors", verifyJWT, async (req, res) => {
+      try {
+        const vendor = req.body;
+        if (!vendor?.userEmail)
+          return res.status(400).send({ message: "userEmail required" });
+        // set by admins only
+        delete vendor.commissionPercent;
+        vendor.createdAt = new Date();
+        vendor.verified = vendor.verified || false;
+
+        const result = await vendorsCollection.updateOne(
+          { userEmail: vendor.userEmail },
+          { $set: vendor },
+          { upsert: true }
+        );
+        res.send({ success: true, result });
+      } catch (err) {
+        console.error("POST /vendors error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/vendors", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const q = {};
+        if (req.query.verified !== undefined)
+          q.verified = req.query.verified === "true";
+        const vendors = await vendorsCollection
+          .find(q)
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(vendors);
+      } catch (err) {
+        console.error("GET /vendors error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/vendors/:email", verifyJWT, async (req, res) => {
+      try {
+        const email = req.params.email;
+
+        if (
+          email !== req.decoded.email &&
+          (await usersCollection.findOne({ email: req.decoded.email }))
+            ?.role !== "admin"
+        ) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const vendor = await vendorsCollection.findOne({ userEmail: email });
+        if (!vendor)
+          return res.status(404).send({ message: "Vendor not found" });
+
+        // not reviewed yet
+        res.send({ ratingAverage: 0, ratingCount: 0, ...vendor });
+      } catch (err) {
+        console.error("GET /vendors/:email error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.put("/vendors/:email", verifyJWT, async (req, res) => {
+      try {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+        const update = req.body;
+        delete update.commissionPercent;
+        const result = await vendorsCollection.updateOne(
+          { userEmail: email },
+          { $set: update }
+        );
+
+        res.send(result);
+      } catch (err) {
+        console.error("PUT /vendors/:email error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /*   ===============================
+                     TICKETS
+         =============================== */
+
+    // Changing these on an approved ticket sends it back to verification
+    const CRITICAL_TICKET_FIELDS = [
+      "from",
+      "to",
+      "transport",
+      "departure",
+      "arrival",
+      "price",
+      "currency",
+      "pricingRules",
+      "fareClasses",
+    ];
+    // and these are what passengers get told about
+    const SCHEDULE_CHANGE_FIELDS = ["from", "to", "departure", "arrival"];
+
+    // Seats on a ticket held by bookings, paid or not, and by reschedules
+    // still waiting for their fare difference. Counted from the bookings:
+    // tickets from before `capacity` existed can't tell it from their fields.
+    const seatsSold = async (ticketId) => {
+      const [held] = await bookingsCollection
+        .aggregate([
+          {
+            $match: {
+              $or: [
+                {
+                  ticketId,
+                  status: { $in: ["pending", "accepted", "paid", "refunding"] },
+                },
+                { "pendingMove.ticketId": ticketId },
+              ],
+            },
+          },
+          { $group: { _id: null, seats: { $sum: "$quantity" } } },
+        ])
+        .toArray();
+      return held?.seats || 0;
+    };
+
+    const sameValue = (a, b) =>
+      JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+    const describeTicketChange = ({ field, from, to }) => {
+      const show = (v) => (v instanceof Date ? formatLocal(v) : v ?? "none");
+      const name = field[0].toUpperCase() + field.slice(1);
+      return `${name} changed from ${show(from)} to ${show(to)}`;
+    };
+
+    // Writes the fields that really changed (edit forms send every field
+    // back), keeps a revision, sends approved tickets back to verification
+    // on critical edits and tells booked customers about schedule changes.
+    // Returns null when seats were sold in the meantime.
+    const applyTicketChanges = async (ticket, updatedData) => {
+      const changes = Object.keys(updatedData)
+        .filter((field) => !sameValue(ticket[field], updatedData[field]))
+        .map((field) => ({
+          field,
+          from: ticket[field] ?? null,
+          to: updatedData[field],
+        }));
+      if (!changes.length) {
+        return {
+          modifiedCount: 0,
+          verificationStatus: ticket.verificationStatus,
+          notified: 0,
+        };
+      }
+
+      const update = Object.fromEntries(
+        changes.map(({ field, to }) => [field, to])
+      );
+      const reverify =
+        ticket.verificationStatus === "approved" &&
+        changes.some(({ field }) => CRITICAL_TICKET_FIELDS.includes(field));
+      if (reverify) update.verificationStatus = "pending";
+
+      // seats sold meanwhile would make the derived counts wrong
+      const result = await ticketsCollection.updateOne(
+        { _id: ticket._id, quantity: ticket.quantity },
+        { $set: update }
+      );
+      if (!result.matchedCount) return null;
+
+      await ticketRevisionsCollection.insertOne({
+        ticketId: ticket._id,
+        vendorEmail: ticket.vendorEmail,
+        changes,
+        reverification: reverify,
+        createdAt: new Date(),
+      });
+
+      const scheduleChanges = changes.filter(({ field }) =>
+        SCHEDULE_CHANGE_FIELDS.includes(field)
+      );
+      const notified = scheduleChanges.length
+        ? await notifyTicketCustomers(ticket._id, {
+            type: "schedule_change",
+            title: `${ticket.title} has changed`,
+            message: scheduleChanges.map(describeTicketChange).join(". "),
+            data: { ticketId: ticket._id, changes: scheduleChanges },
+          })
+        : 0;
+
+      return {
+        modifiedCount: result.modifiedCount,
+        verificationStatus: reverify ? "pending" : ticket.verificationStatus,
+        notified,
+      };
+    };
+
+    app.patch("/tickets/:id", verifyJWT, async (req, res) => {
+      try {
+        const { id } = req.params;
+        const oid = toObjectId(id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const updatedData = { ...req.body };
+
+        delete updatedData.verificationStatus;
+        delete updatedData.vendorEmail;
+        delete updatedData.vendorName;
+        delete updatedData.createdAt;
+        delete updatedData._id;
+        delete updatedData.hidden;
+        delete updatedData.advertised;
+        delete updatedData.scheduleId;
+        delete updatedData.cancelled;
+        delete updatedData.cancelledAt;
+        delete updatedData.cancelReason;
+
+        const ticket = await ticketsCollection.findOne({ _id: oid });
+        if (!ticket) {
+          return res.status(404).send({ message: "Ticket not found" });
+        }
+        if (ticket.vendorEmail !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+        if (ticket.verificationStatus === "rejected") {
+          return res
+            .status(403)
+            .send({ message: "Rejected tickets cannot be updated" });
+        }
+        if (ticket.cancelled) {
+          return res
+            .status(403)
+            .send({ message: "Cancelled trips cannot be updated" });
+        }
+        if ("perks" in updatedData) {
+          if (!Array.isArray(updatedData.perks)) {
+            updatedData.perks = [];
+          }
+        } else {
+          delete updatedData.perks;
+        }
+
+        delete updatedData.takenSeats;
+
+        if ("currency" in updatedData) {
+          updatedData.currency = normalizeCurrency(updatedData.currency);
+          if (!updatedData.currency)
+            return res.status(400).send({ message: "Invalid currency" });
+        }
+
+        if ("pricingRules" in updatedData) {
+          const { pricingRules, error } = parsePricingRules(
+            updatedData.pricingRules
+          );
+          if (error) return res.status(400).send({ message: error });
+          updatedData.pricingRules = pricingRules;
+        }
+
+        if (updatedData.price) updatedData.price = Number(updatedData.price);
+
+        if (updatedData.departure) {
+          updatedData.departure = new Date(updatedData.departure);
+          if (isNaN(updatedData.departure))
+            return res.status(400).send({ message: "Invalid departure" });
+        }
+        if ("arrival" in updatedData) {
+          updatedData.arrival = updatedData.arrival
+            ? new Date(updatedData.arrival)
+            : null;
+        }
+        const arrival =
+          "arrival" in updatedData ? updatedData.arrival : ticket.arrival;
+        if (
+          arrival &&
+          !(arrival > (updatedData.departure || ticket.departure))
+        ) {
+          return res
+            .status(400)
+            .send({ message: "arrival must be after departure" });
+        }
+
+        // seats held by bookings, paid or not
+        const sold = await seatsSold(ticket._id);
+
+        if (
+          "quantity" in updatedData &&
+          Number(updatedData.quantity) === ticket.quantity
+        ) {
+          delete updatedData.quantity;
+        }
+        if (
+          "capacity" in updatedData &&
+          Number(updatedData.capacity) ===
+            (ticket.capacity ?? ticket.quantity + sold)
+        ) {
+          delete updatedData.capacity;
+        }
+        if ("price" in updatedData && updatedData.price === ticket.price) {
+          delete updatedData.price;
+        }
+
+        const classed =
+          "fareClasses" in updatedData
+            ? updatedData.fareClasses
+            : ticket.fareClasses;
+        if (
+          classed &&
+          ["price", "quantity", "capacity"].some((key) => key in updatedData)
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Price and quantity follow the fare classes" });
+        }
+        // a new seat map can change how many seats each class has
+        if (ticket.fareClasses && "seatMap" in updatedData) {
+          updatedData.fareClasses = classed;
+        }
+
+        const seatMapped =
+          "seatMap" in updatedData ? updatedData.seatMap : ticket.seatMap;
+        if (
+          seatMapped &&
+          ("quantity" in updatedData || "capacity" in updatedData)
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Quantity follows the seat map" });
+        }
+        if ("quantity" in updatedData && "capacity" in updatedData) {
+          return res
+            .status(400)
+            .send({ message: "Send either quantity or capacity" });
+        }
+
+        if ("seatMap" in updatedData) {
+          const { seatMap, error } = parseSeatMap(updatedData.seatMap);
+          if (error) return res.status(400).send({ message: error });
+          updatedData.seatMap = seatMap;
+
+          if (seatMap) {
+            const bookable = bookableSeatIds(seatMap);
+            const lost = (ticket.takenSeats || []).filter(
+              (id) => !bookable.includes(id)
+            );
+            if (lost.length) {
+              const list = lost.join(", ");
+              return res.status(400).send({
+                message: `Booked seats cannot be removed or blocked: ${list}`,
+              });
+            }
+
+            if (bookable.length < sold) {
+              return res.status(400).send({
+                message: "Seat map has fewer seats than already sold",
+              });
+            }
+            updatedData.capacity = bookable.length;
+            updatedData.quantity = bookable.length - sold;
+          } else {
+            updatedData.takenSeats = [];
+          }
+        }
+
+        // `quantity` is what is still for sale, `capacity` the whole
+        // vehicle; either way the seats already sold stay sold
+        if ("quantity" in updatedData) {
+          const quantity = Number(updatedData.quantity);
+          if (!Number.isInteger(quantity) || quantity < 0) {
+            return res.status(400).send({ message: "Invalid quantity" });
+          }
+          updatedData.quantity = quantity;
+          updatedData.capacity = sold + quantity;
+        }
+        if ("capacity" in updatedData) {
+          const capacity = Number(updatedData.capacity);
+          if (!Number.isInteger(capacity) || capacity <= 0) {
+            return res.status(400).send({ message: "Invalid capacity" });
+          }
+          if (capacity < sold) {
+            return res.status(400).send({
+              message: `Capacity cannot drop below the ${sold} seats already sold`,
+            });
+          }
+          updatedData.capacity = capacity;
+          updatedData.quantity = capacity - sold;
+        }
+
+        // each class keeps the seats it already sold
+        if ("fareClasses" in updatedData) {
+          const seatMap =
+            "seatMap" in updatedData ? updatedData.seatMap : ticket.seatMap;
+          const { fareClasses, error } = parseFareClasses(
+            updatedData.fareClasses,
+            seatMap
+          );
+          if (error) return res.status(400).send({ message: error });
+
+          const soldOf = (fare) => fare.capacity - fare.quantity;
+          const current = ticket.fareClasses || [];
+          if (!ticket.fareClasses && sold > 0 && fareClasses) {
+            return res.status(400).send({
+              message: "Fare classes can only be added before any sales",
+            });
+          }
+          const dropped = current.find(
+            (old) =>
+              soldOf(old) > 0 &&
+              !fareClasses?.some((fare) => fare.code === old.code)
+          );
+          if (dropped) {
+            return res.status(400).send({
+              message: `Fare class ${dropped.code} has sales and cannot be removed`,
+            });
+          }
+
+          for (const fare of fareClasses || []) {
+            const old = current.find((f) => f.code === fare.code);
+            const classSold = old ? soldOf(old) : 0;
+            if (fare.capacity < classSold) {
+              return res.status(400).send({
+                message: `Fare class ${fare.code} cannot drop below the ${classSold} seats already sold`,
+              });
+            }
+            fare.quantity = fare.capacity - classSold;
+          }
+
+          updatedData.fareClasses = fareClasses;
+          if (fareClasses) Object.assign(updatedData, fareTotals(fareClasses));
+        }
+
+        const outcome = await applyTicketChanges(ticket, updatedData);
+        if (!outcome) {
+          return res
+            .status(409)
+            .send({ message: "Ticket was booked meanwhile, try again" });
+        }
+
+        res.send({ success: true, ...outcome });
+      } catch (err) {
+        console.error("PATCH /tickets/:id error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Checks the fields of a new ticket (POST /tickets and imports).
+    // Returns { ticket } without the vendor/verification fields, or { error }.
+    const parseNewTicket = (body) => {
+      const {
+        title,
+        from,
+        to,
+        transport,
+        price,
+        quantity,
+        departure,
+        image,
+        perks,
+      } = body;
+
+      if (
+        !title ||
+        !from ||
+        !to ||
+        !transport ||
+        (!price && !body.fareClasses) ||
+        (!quantity && !body.seatMap && !body.fareClasses) ||
+        !departure ||
+        !image
+      ) {
+        return { error: "All required fields missing" };
+      }
+
+      if (!body.fareClasses && !(Number(price) > 0)) {
+        return { error: "price must be positive" };
+      }
+
+      const departureAt = new Date(departure);
+      if (isNaN(departureAt)) return { error: "Invalid departure" };
+
+      const currency = body.currency
+        ? normalizeCurrency(body.currency)
+        : BASE_CURRENCY;
+      if (!currency) return { error: "Invalid currency" };
+
+      let pricingRules = null;
+      if (body.pricingRules !== undefined) {
+        const parsed = parsePricingRules(body.pricingRules);
+        if (parsed.error) return { error: parsed.error };
+        pricingRules = parsed.pricingRules;
+      }
+
+      // with a seat map the sellable seats are the inventory
+      let seatMap = null;
+      let seats = Number(quantity);
+      if (body.seatMap !== undefined) {
+        const parsed = parseSeatMap(body.seatMap);
+        if (parsed.error) return { error: parsed.error };
+        seatMap = parsed.seatMap;
+        if (seatMap) seats = bookableSeatIds(seatMap).length;
+      }
+
+      // with fare classes the ticket's price and seats are their totals
+      let fareClasses = null;
+      let lowestPrice = Number(price);
+      if (body.fareClasses) {
+        const parsed = parseFareClasses(body.fareClasses, seatMap);
+        if (parsed.error) return { error: parsed.error };
+        fareClasses = parsed.fareClasses;
+        ({ price: lowestPrice, capacity: seats } = fareTotals(fareClasses));
+      }
+      if (!Number.isInteger(seats) || seats <= 0) {
+        return { error: "quantity must be a positive integer" };
+      }
+
+      // optional, but only tickets with one can be a connecting leg
+      const arrival = body.arrival ? new Date(body.arrival) : null;
+      if (arrival && !(arrival > departureAt)) {
+        return { error: "arrival must be after departure" };
+      }
+
+      return {
+        ticket: {
+          title,
+          from,
+          to,
+          transport,
+          price: lowestPrice,
+          quantity: seats,
+          capacity: seats,
+          seatMap,
+          takenSeats: [],
+          fareClasses,
+          departure: departureAt,
+          arrival,
+          image,
+          perks: Array.isArray(perks) ? perks : [],
+          currency,
+          pricingRules,
+        },
+      };
+    };
+
+    app.post("/tickets", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const { ticket, error } = parseNewTicket(req.body || {});
+        if (error) return res.status(400).send({ message: error });
+
+        const result = await ticketsCollection.insertOne({
+          ...ticket,
+          ...(await ticketRatingFields(req.decoded.email)),
+          vendorEmail: req.decoded.email,
+          verificationStatus: "pending",
+          advertised: false,
+          createdAt: new Date(),
+        });
+        res.send({ success: true, ticketId: result.insertedId });
+      } catch (error) {
+        console.error("Create ticket error:", error);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ---------- bulk import / export ---------- */
+    // Spreadsheet columns in export order. `quantity` is the total number of
+    // seats like on create, perks are "|"-separated in CSV and pricing rules
+    // and seat maps and fare classes JSON. Rows match existing tickets by id
+    // or externalId.
+    const TICKET_COLUMNS = [
+      "id",
+      "externalId",
+      "title",
+      "from",
+      "to",
+      "transport",
+      "price",
+      "quantity",
+      "departure",
+      "arrival",
+      "image",
+      "perks",
+      "currency",
+      "pricingRules",
+      "seatMap",
+      "fareClasses",
+    ];
+    const MAX_IMPORT_ROWS = 1000;
+
+    // CSV cells are all text, parseNewTicket converts the numbers
+    const csvRowToTicket = (row) => {
+      const body = Object.fromEntries(
+        Object.entries(row).filter(([, value]) => value !== "")
+      );
+      if (body.perks !== undefined) {
+        body.perks = body.perks
+          .split("|")
+          .map((perk) => perk.trim())
+          .filter(Boolean);
+      }
+      for (const key of ["pricingRules", "seatMap", "fareClasses"]) {
+        if (body[key] === undefined) continue;
+        try {
+          body[key] = JSON.parse(body[key]);
+        } catch {
+          return { error: `${key} must be JSON` };
+        }
+      }
+      return { body };
+    };
+
+    const ticketToRow = (ticket, csv = false) => {
+      const json = (value) => (value ? JSON.stringify(value) : "");
+      return {
+        id: ticket._id.toString(),
+        externalId: ticket.externalId || "",
+        title: ticket.title,
+        from: ticket.from,
+        to: ticket.to,
+        transport: ticket.transport,
+        price: ticket.price,
+        quantity: ticket.capacity ?? ticket.quantity,
+        departure: ticket.departure?.toISOString(),
+        arrival: ticket.arrival?.toISOString() || "",
+        image: ticket.image,
+        perks: csv ? (ticket.perks || []).join("|") : ticket.perks || [],
+        currency: currencyOf(ticket),
+        pricingRules: csv ? json(ticket.pricingRules) : ticket.pricingRules,
+        seatMap: csv ? json(ticket.seatMap) : ticket.seatMap,
+        fareClasses: csv
+          ? json(fareClassDefinitions(ticket.fareClasses))
+          : fareClassDefinitions(ticket.fareClasses),
+      };
+    };
+
+    // What importing `ticket` over `existing` changes, as PATCH-style data.
+    // Returns { updatedData } or { error }.
+    const planImportUpdate = async (existing, ticket) => {
+      if (existing.cancelled) {
+        return { error: "Cancelled trips cannot be updated" };
+      }
+      if (existing.verificationStatus === "rejected") {
+        return { error: "Rejected tickets cannot be updated" };
+      }
+
+      const {
+        quantity,
+        capacity,
+        takenSeats,
+        seatMap,
+        fareClasses,
+        ...updatedData
+      } = ticket;
+
+      if (existing.fareClasses || fareClasses) {
+        if (
+          !sameValue(
+            fareClassDefinitions(existing.fareClasses),
+            fareClassDefinitions(fareClasses)
+          )
+        ) {
+          return {
+            error: "Fare classes of existing tickets are edited one by one",
+          };
+        }
+        if (!existing.seatMap && !seatMap) return { updatedData };
+      }
+
+      if (existing.seatMap || seatMap) {
+        if (!sameValue(existing.seatMap, seatMap)) {
+          return {
+            error: "Seat maps of existing tickets are edited one by one",
+          };
+        }
+        return { updatedData };
+      }
+
+      const sold = await seatsSold(existing._id);
+      if (capacity < sold) {
+        return {
+          error: `quantity cannot drop below the ${sold} seats already sold`,
+        };
+      }
+      updatedData.capacity = capacity;
+      updatedData.quantity = capacity - sold;
+      return { updatedData };
+    };
+
+    // CSV (text/csv) or a JSON array of tickets; ?dryRun=true only reports.
+    // Valid rows are imported even when others fail.
+    app.post(
+      "/tickets/import",
+      verifyJWT,
+      verifyVendor,
+      express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+      async (req, res) => {
+        try {
+          const dryRun = req.query.dryRun === "true";
+          const vendorEmail = req.decoded.email;
+
+          let rows;
+          if (typeof req.body === "string") {
+            rows = parseCsv(req.body).map(csvRowToTicket);
+          } else {
+            const list = Array.isArray(req.body) ? req.body : req.body?.tickets;
+            if (!Array.isArray(list)) {
+              return res
+                .status(400)
+                .send({ message: "Send CSV or a JSON array of tickets" });
+            }
+            rows = list.map((body) => ({ body: body || {} }));
+          }
+
+          if (!rows.length) {
+            return res.status(400).send({ message: "No rows to import" });
+          }
+          if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).send({
+              message: `At most ${MAX_IMPORT_ROWS} rows per import`,
+            });
+          }
+
+          const report = [];
+          const seen = new Set();
+
+          for (const [i, row] of rows.entries()) {
+            const line = { row: i + 1 };
+            const fail = (error) =>
+              report.push({ ...line, status: "error", error });
+
+            if (row.error) {
+              fail(row.error);
+              continue;
+            }
+
+            const { body } = row;
+            const externalId = body.externalId
+              ? String(body.externalId).trim()
+              : null;
+            if (externalId) {
+              if (seen.has(externalId)) {
+                fail("Duplicate externalId in this file");
+                continue;
+              }
+              seen.add(externalId);
+            }
+
+            const { ticket, error } = parseNewTicket(body);
+            if (error) {
+              fail(error);
+              continue;
+            }
+
+            let existing = null;
+            if (body.id) {
+              const oid = toObjectId(body.id);
+              existing =
+                oid &&
+                (await ticketsCollection.findOne({ _id: oid, vendorEmail }));
+              if (!existing) {
+                fail("Unknown ticket id");
+                continue;
+              }
+            } else if (externalId) {
+              existing = await ticketsCollection.findOne({
+                vendorEmail,
+                externalId,
+              });
+            }
+
+            if (!existing) {
+              if (dryRun) {
+                report.push({ ...line, status: "create" });
+                continue;
+              }
+              const result = await ticketsCollection.insertOne({
+                ...ticket,
+                ...(externalId && { externalId }),
+                ...(await ticketRatingFields(vendorEmail)),
+                vendorEmail,
+                verificationStatus: "pending",
+                advertised: false,
+                createdAt: new Date(),
+              });
+              report.push({
+                ...line,
+                status: "create",
+                ticketId: result.insertedId,
+              });
+              continue;
+            }
+
+            const plan = await planImportUpdate(existing, ticket);
+            if (plan.error) {
+              fail(plan.error);
+              continue;
+            }
+            if (externalId) plan.updatedData.externalId = externalId;
+
+            const changed = Object.keys(plan.updatedData).some(
+              (field) => !sameValue(existing[field], plan.updatedData[field])
+            );
+            const status = changed ? "update" : "unchanged";
+            if (dryRun || !changed) {
+              report.push({ ...line, status, ticketId: existing._id });
+              continue;
+            }
+
+            const outcome = await applyTicketChanges(
+              existing,
+              plan.updatedData
+            );
+            if (!outcome) {
+              fail("Ticket was booked meanwhile, try again");
+              continue;
+            }
+            report.push({
+              ...line,
+              status,
+              ticketId: existing._id,
+              verificationStatus: outcome.verificationStatus,
+            });
+          }
+
+          const count = (status) =>
+            report.filter((r) => r.status === status).length;
+
+          res.send({
+            dryRun,
+            total: rows.length,
+            created: count("create"),
+            updated: count("update"),
+            unchanged: count("unchanged"),
+            failed: count("error"),
+            rows: report,
+          });
+        } catch (err) {
+          console.error("POST /tickets/import error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // ?format=csv (default) or json, in the format the import reads
+    app.get("/tickets/export", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const tickets = await ticketsCollection
+          .find({ vendorEmail: req.decoded.email })
+          .sort({ departure: 1 })
+          .toArray();
+
+        // the quantity column is the whole vehicle, older tickets only
+        // know what is left for sale
+        for (const ticket of tickets) {
+          ticket.capacity ??= ticket.quantity + (await seatsSold(ticket._id));
+        }
+
+        if (req.query.format === "json") {
+          return res.send(tickets.map((ticket) => ticketToRow(ticket)));
+        }
+
+        res.set({
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": 'attachment; filename="tickets.csv"',
+        });
+        res.send(
+          toCsv(
+            tickets.map((ticket) => ticketToRow(ticket, true)),
+            TICKET_COLUMNS
+          )
+        );
+      } catch (err) {
+        console.error("GET /tickets/export error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    const escapeRegex = (text) =>
+      String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    // exact match ignoring case and surrounding spaces
+    const sameTextRegex = (text) =>
+      new RegExp(`^\\s*${escapeRegex(String(text).trim())}\\s*$`, "i");
+
+    // sort key -> [field, direction]
+    const TICKET_SORTS = {
+      price: ["price", 1],
+      price_desc: ["price", -1],
+      departure: ["departure", 1],
+      newest: ["createdAt", -1],
+      rating: ["vendorRatingAverage", -1],
+    };
+
+    // Cursors are opaque to clients: the last row's sort value and _id
+    const encodeCursor = (field, row) =>
+      Buffer.from(
+        JSON.stringify({ v: row[field], id: row._id.toString() })
+      ).toString("base64url");
+
+    const decodeCursor = (field, cursor) => {
+      try {
+        const { v, id } = JSON.parse(
+          Buffer.from(cursor, "base64url").toString("utf8")
+        );
+        const value = ["price", "vendorRatingAverage"].includes(field)
+          ? Number(v)
+          : new Date(v);
+        const oid = toObjectId(id);
+        return oid && { value, id: oid };
+      } catch {
+        return null;
+      }
+    };
+
+    // Search: ?from=&to=&transport=&date=YYYY-MM-DD or departureFrom/To,
+    // minPrice/maxPrice, perks=AC,WiFi, minSeats, minRating (the vendor's),
+    // sort, limit, cursor.
+    // The page is the body; X-Total-Count / X-Next-Cursor carry the paging.
+    app.get("/tickets", async (req, res) => {
+      try {
+        const {
+          advertised,
+          vendorEmail,
+          from,
+          to,
+          transport,
+          date,
+          departureFrom,
+          departureTo,
+          perks,
+          includeDeparted,
+          cursor,
+        } = req.query;
+
+        const filter = {
+          hidden: { $ne: true },
+          cancelled: { $ne: true },
+          verificationStatus: "approved",
+        };
+
+        if (advertised !== undefined) filter.advertised = advertised === "true";
+        if (vendorEmail) filter.vendorEmail = vendorEmail;
+
+        if (from || to) {
+          // the text index narrows it down, the regexes pin the direction
+          filter.$text = {
+            $search: [from, to]
+              .filter(Boolean)
+              .map((place) => `"${String(place).replace(/"/g, "")}"`)
+              .join(" "),
+          };
+          if (from) filter.from = sameTextRegex(from);
+          if (to) filter.to = sameTextRegex(to);
+        }
+
+        if (transport) filter.transport = sameTextRegex(transport);
+
+        const departure = {};
+        if (includeDeparted !== "true") departure.$gt = new Date();
+        if (date) {
+          const range = dayRange(date);
+          if (!range) return res.status(400).send({ message: "Invalid date" });
+          departure.$gte = range.start;
+          departure.$lt = range.end;
+        }
+        if (departureFrom) {
+          const d = new Date(departureFrom);
+          if (isNaN(d))
+            return res.status(400).send({ message: "Invalid departureFrom" });
+          departure.$gte = d;
+        }
+        if (departureTo) {
+          const d = new Date(departureTo);
+          if (isNaN(d))
+            return res.status(400).send({ message: "Invalid departureTo" });
+          departure.$lte = d;
+        }
+        if (Object.keys(departure).length) filter.departure = departure;
+
+        const numbers = parseSearchNumbers(req.query);
+        if (numbers.error)
+          return res.status(400).send({ message: numbers.error });
+        if (numbers.price) filter.price = numbers.price;
+
+        if (perks) {
+          const required = String(perks)
+            .split(",")
+            .map((p) => p.trim())
+            .filter(Boolean);
+          if (required.length) filter.perks = { $all: required };
+        }
+
+        if (numbers.minSeats) filter.quantity = { $gte: numbers.minSeats };
+
+        if (numbers.minRating !== undefined) {
+          filter.vendorRatingAverage = { $gte: numbers.minRating };
+        }
+
+        const [field, direction] =
+          TICKET_SORTS[req.query.sort] || TICKET_SORTS.departure;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const total = await ticketsCollection.countDocuments(filter);
+
+        let pageFilter = filter;
+        if (cursor) {
+          const after = decodeCursor(field, cursor);
+          if (!after)
+            return res.status(400).send({ message: "Invalid cursor" });
+
+          const op = direction === 1 ? "$gt" : "$lt";
+          pageFilter = {
+            ...filter,
+            $or: [
+              { [field]: { [op]: after.value } },
+              { [field]: after.value, _id: { [op]: after.id } },
+            ],
+          };
+        }
+
+        // one extra row tells us whether there is a next page
+        const rows = await ticketsCollection
+          .find(pageFilter)
+          .sort({ [field]: direction, _id: direction })
+          .limit(limit + 1)
+          .toArray();
+
+        const page = rows.slice(0, limit);
+        const nextCursor =
+          rows.length > limit ? encodeCursor(field, page[page.length - 1]) : "";
+
+        res.set({
+          "X-Total-Count": String(total),
+          "X-Next-Cursor": nextCursor,
+        });
+        res.send(page);
+      } catch (err) {
+        console.error("GET /tickets error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/tickets/vendor/:email", verifyJWT, async (req, res) => {
+      try {
+        const email = req.params.email;
+        if (email !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+        const tickets = await ticketsCollection
+          .find({
+            vendorEmail: email,
+            hidden: { $ne: true },
+          })
+          .sort({ createdAt: -1 })
+          .toArray();
+
+        res.send(tickets);
+      } catch (err) {
+        console.error("GET /tickets/vendor/:email error:", err);
+        res.status(500).send({ error: "Failed to fetch vendor tickets" });
+      }
+    });
+
+    // Verification queue: unlike the public search, every status and
+    // hidden tickets too. ?verificationStatus=, vendorEmail, limit.
+    app.get("/admin/tickets", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const filter = {};
+        const { verificationStatus, vendorEmail } = req.query;
+        if (verificationStatus !== undefined) {
+          if (!["pending", "approved", "rejected"].includes(verificationStatus))
+            return res
+              .status(400)
+              .send({ message: "Invalid verificationStatus" });
+          filter.verificationStatus = verificationStatus;
+        }
+        if (vendorEmail) filter.vendorEmail = String(vendorEmail);
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const tickets = await ticketsCollection
+          .find(filter)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        res.send(tickets);
+      } catch (err) {
+        console.error("GET /admin/tickets error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // The ticket of the running campaign with the highest priority in each
+    // slot, in slot order. Every call counts as an impression.
+    app.get("/tickets/advertised", async (req, res) => {
+      try {
+        const limit = parseInt(req.query.limit) || AD_SLOTS;
+
+        const running = await campaignsCollection
+          .aggregate([
+            { $match: runningCampaigns() },
+            {
+              $lookup: {
+                from: "tickets",
+                localField: "ticketId",
+                foreignField: "_id",
+                as: "ticket",
+              },
+            },
+            { $unwind: "$ticket" },
+            {
+              $match: {
+                "ticket.verificationStatus": "approved",
+                "ticket.hidden": { $ne: true },
+                "ticket.cancelled": { $ne: true },
+              },
+            },
+            { $sort: { slot: 1, priority: -1, createdAt: 1 } },
+            { $group: { _id: "$slot", campaign: { $first: "$$ROOT" } } },
+            { $sort: { _id: 1 } },
+            { $limit: limit },
+          ])
+          .toArray();
+
+        const campaigns = running.map((r) => r.campaign);
+        if (campaigns.length) {
+          await campaignsCollection.updateMany(
+            { _id: { $in: campaigns.map((c) => c._id) } },
+            { $inc: { impressions: 1 } }
+          );
+        }
+
+        res.send(
+          campaigns.map((campaign) => ({
+            ...campaign.ticket,
+            campaignId: campaign._id,
+            slot: campaign.slot,
+          }))
+        );
+      } catch (error) {
+        res.status(400).send({ message: "Failed to fetch advertised tickets" });
+      }
+    });
+
+    app.patch(
+      "/tickets/:id/approve",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const id = req.params.id;
+          const oid = toObjectId(id);
+          if (!oid) return res.status(400).send({ message: "invalid id" });
+
+          const result = await ticketsCollection.updateOne(
+            { _id: oid },
+            { $set: { verificationStatus: "approved" } }
+          );
+          if (!result.matchedCount)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          res.send({ success: true, modifiedCount: result.modifiedCount });
+        } catch (err) {
+          console.error("PATCH /tickets/:id/approve error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch(
+      "/tickets/:id/reject",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const id = req.params.id;
+          const oid = toObjectId(id);
+          if (!oid) return res.status(400).send({ message: "invalid id" });
+
+          const result = await ticketsCollection.updateOne(
+            { _id: oid },
+            { $set: { verificationStatus: "rejected" } }
+          );
+          if (!result.matchedCount)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          res.send({ success: true, modifiedCount: result.modifiedCount });
+        } catch (err) {
+          console.error("PATCH /tickets/:id/reject error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch(
+      "/tickets/:id/advertise",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const id = req.params.id;
+          const { advertised } = req.body;
+          if (typeof advertised !== "boolean")
+            return res
+              .status(400)
+              .send({ message: "advertised must be boolean" });
+
+          const oid = toObjectId(id);
+          if (!oid) return res.status(400).send({ message: "invalid id" });
+
+          const ticket = await ticketsCollection.findOne({ _id: oid });
+          if (!ticket)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          // the old on/off switch: an open-ended campaign in a free slot
+          if (advertised) {
+            const live = await campaignsCollection.findOne({
+              ticketId: oid,
+              ...runningCampaigns(),
+            });
+            if (!live) {
+              const slot = await freeAdSlot();
+              if (!slot) {
+                return res.status(400).send({
+                  message: `All ${AD_SLOTS} ad slots are taken`,
+                });
+              }
+              await campaignsCollection.insertOne({
+                ...newCampaign(ticket, req.decoded.email),
+                slot,
+                status: "active",
+              });
+            }
+          } else {
+            await campaignsCollection.updateMany(
+              { ticketId: oid, status: "active" },
+              { $set: { status: "cancelled", cancelledAt: new Date() } }
+            );
+          }
+
+          const result = await ticketsCollection.updateOne(
+            { _id: oid },
+            { $set: { advertised } }
+          );
+
+          res.send({ success: true, modifiedCount: result.modifiedCount });
+        } catch (err) {
+          console.error("PATCH /tickets/:id/advertise error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // Delete ticket
+    app.delete("/tickets/:id", verifyJWT, async (req, res) => {
+      const id = toObjectId(req.params.id);
+      if (!id) return res.status(400).send({ message: "Invalid id" });
+      const ticket = await ticketsCollection.findOne({ _id: id });
+      if (!ticket) {
+        return res.status(404).send({ message: "Ticket not found" });
+      }
+      if (ticket.vendorEmail !== req.decoded.email) {
+        return res.status(403).send({ message: "Forbidden" });
+      }
+
+      if (ticket.verificationStatus === "rejected") {
+        return res.status(403).send({
+          message: "Rejected tickets cannot be deleted",
+        });
+      }
+
+      // bookings and payments point at it, those trips get cancelled instead
+      if (await bookingsCollection.findOne({ ticketId: id })) {
+        return res.status(409).send({
+          message: "Ticket has bookings, cancel the trip instead",
+        });
+      }
+
+      const result = await ticketsCollection.deleteOne({ _id: id });
+
+      // otherwise the schedule generator would bring the departure back
+      if (ticket.scheduleId && result.deletedCount) {
+        await schedulesCollection.updateOne(
+          { _id: ticket.scheduleId },
+          { $addToSet: { skippedDepartures: ticket.departure } }
+        );
+      }
+
+      res.send(result);
+    });
+
+    // A trip that won't run: the ticket stays (bookings and payments point
+    // at it), unpaid bookings are cancelled and paid ones fully refunded.
+    // Safe to call again, e.g. to retry refunds that failed the first time.
+    app.post(
+      "/tickets/:id/cancel-trip",
+      verifyJWT,
+      verifyVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const reason = String(req.body?.reason || "").trim();
+          if (!reason) {
+            return res.status(400).send({ message: "reason required" });
+          }
+
+          const ticket = await ticketsCollection.findOne({ _id: oid });
+          if (!ticket || ticket.vendorEmail !== req.decoded.email)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          if (!ticket.cancelled && ticket.departure <= new Date()) {
+            return res.status(400).send({ message: "Departure time passed" });
+          }
+
+          const cancelledAt = ticket.cancelledAt || new Date();
+          if (!ticket.cancelled) {
+            await ticketsCollection.updateOne(
+              { _id: oid },
+              {
+                $set: {
+                  cancelled: true,
+                  cancelledAt,
+                  cancelReason: reason,
+                  advertised: false,
+                },
+              }
+            );
+            await campaignsCollection.updateMany(
+              { ticketId: oid, status: "active" },
+              { $set: { status: "cancelled", cancelledAt } }
+            );
+          }
+
+          const bookings = await bookingsCollection
+            .find({
+              ticketId: oid,
+              status: { $in: ["pending", "accepted", "paid"] },
+            })
+            .toArray();
+
+          const summary = { cancelled: 0, refunded: 0, failed: [] };
+          const affected = new Set();
+          let refundedAmount = 0;
+
+          for (const booking of bookings) {
+            if (booking.status !== "paid") {
+              const result = await bookingsCollection.updateOne(
+                { _id: booking._id, status: booking.status },
+                {
+                  $set: {
+                    status: "cancelled",
+                    cancelledAt: new Date(),
+                    cancelledBy: "vendor",
+                    cancelReason: reason,
+                  },
+                }
+              );
+              if (result.modifiedCount) {
+                await releaseSeats(booking);
+                await abandonOrder(booking);
+                await expireBookingSession(booking);
+                summary.cancelled++;
+                affected.add(booking.customerEmail);
+              }
+              continue;
+            }
+
+            const payment = await paymentsCollection.findOne({
+              bookingId: booking._id,
+              kind: { $ne: "fare_difference" },
+            });
+            try {
+              if (!payment) throw new Error("Payment not found");
+              const refund = await refundBooking(
+                booking,
+                payment,
+                booking.quantity,
+                `Trip cancelled: ${reason}`
+              );
+              // the customer cancelled it at the same moment
+              if (!refund) continue;
+              refundedAmount += refund.baseAmount || 0;
+              summary.refunded++;
+              affected.add(booking.customerEmail);
+            } catch (err) {
+              console.error("Trip cancellation refund error:", err);
+              summary.failed.push({
+                bookingId: booking._id,
+                message: err.message,
+              });
+            }
+          }
+
+          // nobody on the waitlist is getting seats any more
+          const waiting = await waitlistCollection
+            .find({ ticketId: oid, status: "waiting" })
+            .toArray();
+          await waitlistCollection.updateMany(
+            { ticketId: oid, status: "waiting" },
+            { $set: { status: "cancelled", endedAt: new Date() } }
+          );
+          for (const entry of waiting) affected.add(entry.customerEmail);
+
+          const when = formatLocal(ticket.departure);
+          const notified = await notify([...affected], {
+            type: "trip_cancelled",
+            title: `${ticket.title} was cancelled`,
+            message: `${ticket.title} on ${when} will not run: ${reason}. Paid bookings are refunded in full.`,
+            data: { ticketId: oid, reason },
+          });
+
+          // one row per trip, re-runs only add to it
+          await tripCancellationsCollection.updateOne(
+            { ticketId: oid },
+            {
+              $setOnInsert: {
+                ticketId: oid,
+                vendorEmail: ticket.vendorEmail,
+                title: ticket.title,
+                departure: ticket.departure,
+                reason,
+                cancelledAt,
+              },
+              $inc: {
+                bookingsCancelled: summary.cancelled,
+                bookingsRefunded: summary.refunded,
+                refundedAmount: roundMoney(refundedAmount),
+                customersNotified: notified,
+              },
+              $set: { failedRefunds: summary.failed.length },
+            },
+            { upsert: true }
+          );
+
+          res.send({ success: true, ...summary, notified });
+        } catch (err) {
+          console.error("POST /tickets/:id/cancel-trip error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.get("/tickets/:id", async (req, res) => {
+      try {
+        const id = req.params.id;
+        const oid = toObjectId(id);
+        if (!oid) return res.status(400).send({ message: "invalid id" });
+
+        const ticket = await ticketsCollection.findOne({
+          _id: oid,
+          hidden: { $ne: true },
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        res.send(ticket);
+      } catch (err) {
+        console.error("GET /tickets/:id error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get(
+      "/tickets/:id/revisions",
+      verifyJWT,
+      verifyAdminOrVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const ticket = await ticketsCollection.findOne({ _id: oid });
+          if (
+            !ticket ||
+            (req.user.role === "vendor" &&
+              ticket.vendorEmail !== req.user.email)
+          )
+            return res.status(404).send({ message: "Ticket not found" });
+
+          const revisions = await ticketRevisionsCollection
+            .find({ ticketId: oid })
+            .sort({ createdAt: -1 })
+            .toArray();
+          res.send(revisions);
+        } catch (err) {
+          console.error("GET /tickets/:id/revisions error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // Live seat availability for the seat picker
+    app.get("/tickets/:id/seats", async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const ticket = await ticketsCollection.findOne({
+          _id: oid,
+          hidden: { $ne: true },
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+
+        if (!ticket.seatMap) {
+          return res.send({
+            ticketId: ticket._id,
+            seatMap: false,
+            available: ticket.quantity,
+            seats: [],
+          });
+        }
+
+        res.send({
+          ticketId: ticket._id,
+          seatMap: true,
+          rows: ticket.seatMap.rows,
+          columns: ticket.seatMap.columns,
+          available: ticket.quantity,
+          seats: seatAvailability(ticket),
+        });
+      } catch (err) {
+        console.error("GET /tickets/:id/seats error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Quotes hold a dynamic price long enough for the customer to book
+    const QUOTE_TTL_MINUTES = Number(process.env.QUOTE_TTL_MINUTES) || 10;
+
+    app.get("/tickets/:id/quote", async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "invalid id" });
+
+        const ticket = await ticketsCollection.findOne({
+          _id: oid,
+          hidden: { $ne: true },
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.cancelled)
+          return res.status(400).send({ message: "Trip was cancelled" });
+
+        const quantity = parseInt(req.query.quantity) || 1;
+        const { fare, error } = pickFareClass(
+          ticket,
+          req.query.fareClass,
+          quantity
+        );
+        if (error) return res.status(400).send({ message: error });
+
+        const { basePrice, price, breakdown } = quotePrice(
+          fare ? { ...ticket, price: fare.price } : ticket
+        );
+
+        const quote = {
+          ticketId: oid,
+          fareClass: fare?.code || null,
+          basePrice,
+          price,
+          breakdown,
+          createdAt: new Date(),
+          expiresAt: holdDeadline(QUOTE_TTL_MINUTES),
+        };
+        const result = await quotesCollection.insertOne(quote);
+
+        res.send({
+          quoteId: result.insertedId,
+          fareClass: quote.fareClass,
+          basePrice,
+          unitPrice: price,
+          currency: currencyOf(ticket),
+          quantity,
+          total: Math.round(price * quantity * 100) / 100,
+          breakdown,
+          expiresAt: quote.expiresAt,
+        });
+      } catch (err) {
+        console.error("GET /tickets/:id/quote error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ===============================
+                 SCHEDULES
+       ================================ */
+    // A schedule is a route template plus a recurrence; its dated tickets
+    // ("instances") carry scheduleId and are generated daysAhead in advance
+    const SCHEDULE_DAYS_AHEAD = Number(process.env.SCHEDULE_DAYS_AHEAD) || 14;
+    const MAX_SCHEDULE_DAYS_AHEAD = 90;
+    const SCHEDULE_SWEEP_MINUTES =
+      Number(process.env.SCHEDULE_SWEEP_MINUTES) || 60;
+
+    // template fields copied onto every unsold instance
+    const SCHEDULE_TEMPLATE_FIELDS = [
+      "title",
+      "from",
+      "to",
+      "transport",
+      "price",
+      "capacity",
+      "perks",
+      "image",
+      "currency",
+    ];
+
+    // Changing these on an approved schedule sends it back to verification,
+    // like CRITICAL_TICKET_FIELDS do for a single ticket
+    const CRITICAL_SCHEDULE_FIELDS = [
+      "from",
+      "to",
+      "transport",
+      "price",
+      "currency",
+      "recurrence",
+      "durationMinutes",
+    ];
+
+    const parseSchedule = (body, partial = false) => {
+      const schedule = {};
+      const has = (key) => body[key] !== undefined;
+
+      for (const key of ["title", "from", "to", "transport", "image"]) {
+        if (!partial || has(key)) {
+          const value = String(body[key] || "").trim();
+          if (!value) return { error: `${key} required` };
+          schedule[key] = value;
+        }
+      }
+
+      if (!partial || has("price")) {
+        const price = Number(body.price);
+        if (!price || price <= 0) return { error: "price must be positive" };
+        schedule.price = price;
+      }
+
+      if (!partial || has("capacity")) {
+        const capacity = Number(body.capacity);
+        if (!Number.isInteger(capacity) || capacity <= 0) {
+          return { error: "capacity must be a positive integer" };
+        }
+        schedule.capacity = capacity;
+      }
+
+      if (!partial || has("perks")) {
+        schedule.perks = Array.isArray(body.perks) ? body.perks : [];
+      }
+
+      if (!partial || has("currency")) {
+        const currency = body.currency
+          ? normalizeCurrency(body.currency)
+          : BASE_CURRENCY;
+        if (!currency) return { error: "Invalid currency" };
+        schedule.currency = currency;
+      }
+
+      // trip length, gives the instances an arrival time
+      if (has("durationMinutes")) {
+        const minutes =
+          body.durationMinutes === null ? null : Number(body.durationMinutes);
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes <= 0)) {
+          return { error: "durationMinutes must be a positive integer" };
+        }
+        schedule.durationMinutes = minutes;
+      }
+
+      if (!partial || has("daysAhead")) {
+        const daysAhead = has("daysAhead")
+          ? Number(body.daysAhead)
+          : SCHEDULE_DAYS_AHEAD;
+        if (
+          !Number.isInteger(daysAhead) ||
+          daysAhead < 1 ||
+          daysAhead > MAX_SCHEDULE_DAYS_AHEAD
+        ) {
+          return {
+            error: `daysAhead must be 1-${MAX_SCHEDULE_DAYS_AHEAD}`,
+          };
+        }
+        schedule.daysAhead = daysAhead;
+      }
+
+      if (!partial || has("recurrence")) {
+        const { recurrence, error } = parseRecurrence(body.recurrence);
+        if (error) return { error };
+        schedule.recurrence = recurrence;
+      }
+
+      return { schedule };
+    };
+
+    const scheduleTemplate = (schedule) =>
+      Object.fromEntries(SCHEDULE_TEMPLATE_FIELDS.map((k) => [k, schedule[k]]));
+
+    const arrivalFor = (schedule, departure) =>
+      schedule.durationMinutes
+        ? new Date(departure.getTime() + schedule.durationMinutes * 60 * 1000)
+        : null;
+
+    // Future instances nobody has booked yet, the only ones a schedule
+    // change is allowed to touch
+    const unsoldInstances = async (scheduleId) => {
+      const future = await ticketsCollection
+        .find({ scheduleId, departure: { $gt: new Date() } })
+        .toArray();
+
+      const booked = await bookingsCollection.distinct("ticketId", {
+        ticketId: { $in: future.map((t) => t._id) },
+      });
+      const bookedIds = new Set(booked.map((id) => id.toString()));
+
+      return future.filter((t) => !bookedIds.has(t._id.toString()));
+    };
+
+    // the $expr guard skips instances that got a booking in the meantime
+    const stillUnsold = { $expr: { $eq: ["$quantity", "$capacity"] } };
+
+    // Creates the missing instances up to daysAhead, returns how many
+    const generateScheduleTickets = async (schedule) => {
+      if (
+        schedule.status !== "active" ||
+        schedule.verificationStatus === "rejected"
+      )
+        return 0;
+
+      const vendor = await usersCollection.findOne({
+        email: schedule.vendorEmail,
+      });
+      if (!vendor || vendor.isFraud === true) return 0;
+
+      const now = new Date();
+      const until = new Date(now.getTime() + schedule.daysAhead * DAY_MS);
+      const template = scheduleTemplate(schedule);
+      const rating = await ticketRatingFields(schedule.vendorEmail);
+      const skipped = new Set(
+        (schedule.skippedDepartures || []).map((d) => d.getTime())
+      );
+
+      let generated = 0;
+      for (const departure of occurrences(schedule.recurrence, now, until)) {
+        if (skipped.has(departure.getTime())) continue;
+
+        const result = await ticketsCollection.updateOne(
+          { scheduleId: schedule._id, departure },
+          {
+            $setOnInsert: {
+              ...template,
+              quantity: schedule.capacity,
+              departure,
+              arrival: arrivalFor(schedule, departure),
+              scheduleId: schedule._id,
+              pricingRules: null,
+              seatMap: null,
+              takenSeats: [],
+              ...rating,
+              vendorEmail: schedule.vendorEmail,
+              verificationStatus: schedule.verificationStatus,
+              advertised: false,
+              createdAt: now,
+            },
+          },
+          { upsert: true }
+        );
+        if (result.upsertedCount) generated++;
+      }
+
+      await schedulesCollection.updateOne(
+        { _id: schedule._id },
+        { $set: { generatedUntil: until } }
+      );
+      return generated;
+    };
+
+    // Deletes an unsold instance that a schedule change dropped. Ad
+    // campaigns and waitlist entries on it are cancelled and the people
+    // behind them told. Returns false when it got a booking meanwhile.
+    const dropScheduleInstance = async (schedule, instance) => {
+      const result = await ticketsCollection.deleteOne({
+        _id: instance._id,
+        ...stillUnsold,
+      });
+      if (!result.deletedCount) return false;
+
+      const endedAt = new Date();
+      const when = formatLocal(instance.departure);
+
+      const campaigns = await campaignsCollection
+        .find({
+          ticketId: instance._id,
+          status: { $in: ["active", "pending_payment"] },
+        })
+        .toArray();
+      if (campaigns.length) {
+        await campaignsCollection.updateMany(
+          { _id: { $in: campaigns.map((c) => c._id) } },
+          { $set: { status: "cancelled", cancelledAt: endedAt } }
+        );
+        for (const campaign of campaigns) {
+          if (campaign.checkoutExpiresAt > endedAt) {
+            await paymentProvider
+              .expireCheckoutSession(campaign.checkoutSessionId)
+              .catch((err) => console.error("Session expire error:", err));
+          }
+        }
+        await notify(schedule.vendorEmail, {
+          type: "campaign_cancelled",
+          title: `Ad campaign for ${schedule.title} cancelled`,
+          message: `The ${when} departure was removed from the schedule, its ad campaign ended with it.`,
+          data: { ticketId: instance._id, scheduleId: schedule._id },
+        });
+      }
+
+      const waiting = await waitlistCollection
+        .find({ ticketId: instance._id, status: "waiting" })
+        .toArray();
+      if (waiting.length) {
+        await waitlistCollection.updateMany(
+          { _id: { $in: waiting.map((w) => w._id) } },
+          { $set: { status: "cancelled", endedAt } }
+        );
+        await notify(
+          waiting.map((w) => w.customerEmail),
+          {
+            type: "waitlist_cancelled",
+            title: `${schedule.title} on ${when} no longer runs`,
+            message: `The ${when} departure of ${schedule.title} was removed, you are off its waitlist.`,
+            data: { ticketId: instance._id },
+          }
+        );
+      }
+      return true;
+    };
+
+    // Brings unsold instances in line with an edited or paused schedule,
+    // then fills in whatever is missing
+    const syncSchedule = async (schedule) => {
+      const unsold = await unsoldInstances(schedule._id);
+
+      const now = new Date();
+      const until = new Date(now.getTime() + schedule.daysAhead * DAY_MS);
+      const wanted = new Set(
+        schedule.status === "active"
+          ? occurrences(schedule.recurrence, now, until).map((d) => d.getTime())
+          : []
+      );
+
+      const stale = unsold.filter((t) => !wanted.has(t.departure.getTime()));
+      const kept = unsold.filter((t) => wanted.has(t.departure.getTime()));
+
+      let removed = 0;
+      for (const instance of stale) {
+        if (await dropScheduleInstance(schedule, instance)) removed++;
+      }
+
+      // through applyTicketChanges, so approved instances whose route,
+      // times or price change go back to verification like any ticket
+      let updated = 0;
+      for (const instance of kept) {
+        if (instance.quantity !== instance.capacity) continue;
+        const outcome = await applyTicketChanges(instance, {
+          ...scheduleTemplate(schedule),
+          quantity: schedule.capacity,
+          arrival: arrivalFor(schedule, instance.departure),
+        });
+        updated += outcome?.modifiedCount || 0;
+      }
+
+      const generated = await generateScheduleTickets(schedule);
+      return { updated, removed, generated };
+    };
+
+    const generateAllSchedules = async () => {
+      const schedules = await schedulesCollection
+        .find({ status: "active", verificationStatus: { $ne: "rejected" } })
+        .toArray();
+
+      let generated = 0;
+      for (const schedule of schedules) {
+        generated += await generateScheduleTickets(schedule);
+      }
+      return generated;
+    };
+
+    setInterval(() => {
+      generateAllSchedules().catch((err) =>
+        console.error("Schedule generator error:", err)
+      );
+    }, SCHEDULE_SWEEP_MINUTES * 60 * 1000).unref();
+
+    const canManageSchedule = (user, schedule) =>
+      user.role === "admin" || schedule.vendorEmail === user.email;
+
+    app.post("/schedules", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const { schedule, error } = parseSchedule(req.body || {});
+        if (error) return res.status(400).send({ message: error });
+
+        const doc = {
+          ...schedule,
+          vendorEmail: req.decoded.email,
+          status: "active",
+          verificationStatus: "pending",
+          createdAt: new Date(),
+        };
+
+        const result = await schedulesCollection.insertOne(doc);
+        const generated = await generateScheduleTickets({
+          ...doc,
+          _id: result.insertedId,
+        });
+
+        res.send({ success: true, scheduleId: result.insertedId, generated });
+      } catch (err) {
+        console.error("POST /schedules error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/schedules", verifyJWT, verifyAdminOrVendor, async (req, res) => {
+      try {
+        const q = {};
+        if (req.user.role === "vendor") q.vendorEmail = req.user.email;
+        else if (req.query.vendorEmail) q.vendorEmail = req.query.vendorEmail;
+        if (req.query.status) q.status = req.query.status;
+        if (req.query.verificationStatus)
+          q.verificationStatus = req.query.verificationStatus;
+
+        const schedules = await schedulesCollection
+          .find(q)
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(schedules);
+      } catch (err) {
+        console.error("GET /schedules error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get(
+      "/schedules/:id",
+      verifyJWT,
+      verifyAdminOrVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const schedule = await schedulesCollection.findOne({ _id: oid });
+          if (!schedule || !canManageSchedule(req.user, schedule))
+            return res.status(404).send({ message: "Schedule not found" });
+
+          const upcoming = await ticketsCollection
+            .find({ scheduleId: oid, departure: { $gt: new Date() } })
+            .sort({ departure: 1 })
+            .project({ departure: 1, quantity: 1, capacity: 1, price: 1 })
+            .toArray();
+
+          res.send({ ...schedule, upcoming });
+        } catch (err) {
+          console.error("GET /schedules/:id error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch("/schedules/:id", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const existing = await schedulesCollection.findOne({ _id: oid });
+        if (!existing || existing.vendorEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Schedule not found" });
+        if (existing.verificationStatus === "rejected") {
+          return res
+            .status(403)
+            .send({ message: "Rejected schedules cannot be updated" });
+        }
+
+        const { schedule, error } = parseSchedule(req.body || {}, true);
+        if (error) return res.status(400).send({ message: error });
+
+        const reverify =
+          existing.verificationStatus === "approved" &&
+          CRITICAL_SCHEDULE_FIELDS.some(
+            (field) =>
+              schedule[field] !== undefined &&
+              !sameValue(existing[field], schedule[field])
+          );
+        if (reverify) schedule.verificationStatus = "pending";
+
+        const updated = { ...existing, ...schedule, updatedAt: new Date() };
+        await schedulesCollection.updateOne(
+          { _id: oid },
+          { $set: { ...schedule, updatedAt: updated.updatedAt } }
+        );
+
+        const changes = await syncSchedule(updated);
+        res.send({
+          success: true,
+          verificationStatus: updated.verificationStatus,
+          ...changes,
+        });
+      } catch (err) {
+        console.error("PATCH /schedules/:id error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Pausing drops unsold instances (cancelling their ad campaigns and
+    // waitlists), resuming generates them again. Instances with bookings
+    // keep running either way.
+    for (const [action, status] of [
+      ["pause", "paused"],
+      ["resume", "active"],
+    ]) {
+      app.patch(
+        `/schedules/:id/${action}`,
+        verifyJWT,
+        verifyVendor,
+        async (req, res) => {
+          try {
+            const oid = toObjectId(req.params.id);
+            if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+            const existing = await schedulesCollection.findOne({ _id: oid });
+            if (!existing || existing.vendorEmail !== req.decoded.email)
+              return res.status(404).send({ message: "Schedule not found" });
+
+            await schedulesCollection.updateOne(
+              { _id: oid },
+              { $set: { status, updatedAt: new Date() } }
+            );
+
+            const changes = await syncSchedule({ ...existing, status });
+            res.send({ success: true, status, ...changes });
+          } catch (err) {
+            console.error(`PATCH /schedules/:id/${action} error:`, err);
+            res.status(500).send({ message: "Server error" });
+          }
+        }
+      );
+    }
+
+    // Admins verify a schedule once, its instances follow
+    for (const [action, verificationStatus] of [
+      ["approve", "approved"],
+      ["reject", "rejected"],
+    ]) {
+      app.patch(
+        `/schedules/:id/${action}`,
+        verifyJWT,
+        verifyAdmin,
+        async (req, res) => {
+          try {
+            const oid = toObjectId(req.params.id);
+            if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+            const result = await schedulesCollection.updateOne(
+              { _id: oid },
+              { $set: { verificationStatus } }
+            );
+            if (!result.matchedCount)
+              return res.status(404).send({ message: "Schedule not found" });
+
+            const instances = await ticketsCollection.updateMany(
+              {
+                scheduleId: oid,
+                departure: { $gt: new Date() },
+                verificationStatus: "pending",
+              },
+              { $set: { verificationStatus } }
+            );
+
+            res.send({
+              success: true,
+              modifiedCount: result.modifiedCount,
+              instances: instances.modifiedCount,
+            });
+          } catch (err) {
+            console.error(`PATCH /schedules/:id/${action} error:`, err);
+            res.status(500).send({ message: "Server error" });
+          }
+        }
+      );
+    }
+
+    /* ===============================
+                  BOOKINGS
+       ================================ */
+    // transports whose operators must know every passenger's ID or passport
+    const PASSENGER_ID_TRANSPORTS = (
+      process.env.PASSENGER_ID_TRANSPORTS || "launch,plane"
+    )
+      .split(",")
+      .map((t) => t.trim().toLowerCase())
+      .filter(Boolean);
+
+    const needsPassengerIds = (ticket) =>
+      PASSENGER_ID_TRANSPORTS.includes(
+        String(ticket.transport || "")
+          .trim()
+          .toLowerCase()
+      );
+
+    // Passenger records sent with a booking, optional unless the transport
+    // needs IDs. Returns { passengers } (null when left out) or { error }.
+    const readPassengers = (input, ticket, quantity) => {
+      const requireId = needsPassengerIds(ticket);
+      if (input === undefined || input === null) {
+        return requireId
+          ? { error: `Passenger details are required for ${ticket.transport}` }
+          : { passengers: null };
+      }
+      return parsePassengers(input, quantity, { requireId });
+    };
+
+    // Seat-mapped tickets reserve exact seats: the customer's pick, or the
+    // first free ones of the fare class when the client only sends a
+    // quantity. Returns { seats } (undefined without a seat map) or
+    // { error: { status, message } }.
+    const chooseSeats = (ticket, fare, quantity, requestedSeats = []) => {
+      if (!ticket.seatMap) {
+        return requestedSeats.length
+          ? {
+              error: {
+                status: 400,
+                message: "This ticket has no seat selection",
+              },
+            }
+          : { seats: undefined };
+      }
+
+      const inClass = new Set(
+        ticket.seatMap.seats
+          .filter((seat) => !fare || seat.class === fare.code)
+          .map((seat) => seat.id)
+      );
+      const bookable = bookableSeatIds(ticket.seatMap).filter((id) =>
+        inClass.has(id)
+      );
+
+      if (!requestedSeats.length) {
+        const taken = new Set(ticket.takenSeats || []);
+        return {
+          seats: bookable.filter((id) => !taken.has(id)).slice(0, quantity),
+        };
+      }
+      if (requestedSeats.length !== quantity) {
+        return {
+          error: {
+            status: 400,
+            message: "Number of seats must match quantity",
+          },
+        };
+      }
+      const unknown = requestedSeats.find((id) => !bookable.includes(id));
+      if (unknown) {
+        return {
+          error: { status: 400, message: `Seat ${unknown} cannot be booked` },
+        };
+      }
+      return { seats: requestedSeats };
+    };
+
+    // Takes the seats and creates a pending booking for `ticket`.
+    // Returns { booking } or { error: { status, message } }.
+    const reserveBooking = async ({
+      ticket,
+      quantity,
+      requestedSeats = [],
+      fareClass,
+      quote,
+      customerEmail,
+      holdMinutes = ACCEPT_HOLD_MINUTES,
+      status = "pending",
+      passengers = null,
+      extra = {},
+    }) => {
+      const { fare, error } = pickFareClass(ticket, fareClass, quantity);
+      if (error) return { error: { status: 400, message: error } };
+      if (quote && (quote.fareClass || null) !== (fare?.code || null)) {
+        return {
+          error: { status: 400, message: "Quote is for another fare class" },
+        };
+      }
+      quote ??= quotePrice(fare ? { ...ticket, price: fare.price } : ticket);
+
+      const picked = chooseSeats(ticket, fare, quantity, requestedSeats);
+      if (picked.error) return { error: picked.error };
+      const { seats } = picked;
+
+      if (!(await takeSeats(ticket._id, quantity, seats, fare?.code))) {
+        return {
+          error: {
+            status: 400,
+            message: requestedSeats.length
+              ? "Selected seats are no longer available"
+              : "Not enough tickets available",
+            soldOut: !requestedSeats.length,
+          },
+        };
+      }
+
+      const booking = {
+        ticketId: ticket._id,
+        vendorEmail: ticket.vendorEmail,
+        customerEmail,
+        title: ticket.title,
+        currency: currencyOf(ticket),
+        price: quote.price,
+        basePrice: quote.basePrice,
+        priceBreakdown: quote.breakdown,
+        ...(quote._id && { quoteId: quote._id }),
+        quantity,
+        ...(seats && { seats }),
+        ...(fare && {
+          fareClass: fare.code,
+          fareClassName: fare.name,
+          refundable: fare.refundable,
+        }),
+        ...(passengers && { passengers }),
+        ...extra,
+        status,
+        holdExpiresAt: holdDeadline(holdMinutes),
+        createdAt: new Date(),
+      };
+
+      await bookingsCollection.insertOne(booking);
+      return { booking };
+    };
+
+    app.post("/bookings", verifyJWT, async (req, res) => {
+      try {
+        const { ticketId, customerEmail, quoteId } = req.body;
+        const requestedSeats = Array.isArray(req.body.seats)
+          ? [...new Set(req.body.seats.map(String))]
+          : [];
+        const quantity = Number(req.body.quantity ?? requestedSeats.length);
+
+        if (customerEmail !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        if (!ticketId || !Number.isInteger(quantity) || quantity <= 0) {
+          return res
+            .status(400)
+            .send({ message: "ticketId and valid quantity required" });
+        }
+        if (requestedSeats.length && quantity !== requestedSeats.length) {
+          return res
+            .status(400)
+            .send({ message: "Number of seats must match quantity" });
+        }
+
+        const ticketOid = toObjectId(ticketId);
+        if (!ticketOid)
+          return res.status(400).send({ message: "Invalid ticketId" });
+
+        const ticket = await ticketsCollection.findOne({ _id: ticketOid });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+
+        if (ticket.verificationStatus !== "approved") {
+          return res.status(400).send({ message: "Ticket not approved" });
+        }
+
+        if (ticket.cancelled) {
+          return res.status(400).send({ message: "Trip was cancelled" });
+        }
+
+        const details = readPassengers(req.body.passengers, ticket, quantity);
+        if (details.error) {
+          return res.status(400).send({ message: details.error });
+        }
+
+        // lock the price the customer was quoted, or quote it right now
+        let quote;
+        if (quoteId) {
+          const quoteOid = toObjectId(quoteId);
+          quote =
+            quoteOid &&
+            (await quotesCollection.findOne({
+              _id: quoteOid,
+              ticketId: ticketOid,
+            }));
+          if (!quote) return res.status(400).send({ message: "Invalid quote" });
+          if (quote.expiresAt <= new Date()) {
+            return res.status(400).send({ message: "Quote expired" });
+          }
+        }
+
+        const { booking, error } = await reserveBooking({
+          ticket,
+          quantity,
+          requestedSeats,
+          fareClass: req.body.fareClass ?? quote?.fareClass,
+          quote,
+          customerEmail,
+          passengers: details.passengers,
+        });
+        if (error) {
+          // sold out, POST /waitlist queues for the next free seats
+          return res.status(error.status).send({
+            message: error.message,
+            ...(error.soldOut && { canJoinWaitlist: true }),
+          });
+        }
+
+        res.send({
+          success: true,
+          bookingId: booking._id,
+        });
+      } catch (err) {
+        console.error("POST /bookings error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/bookings", verifyJWT, async (req, res) => {
+      try {
+        const email = req.query.email;
+
+        if (email !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const bookings = await bookingsCollection
+          .aggregate([
+            { $match: { customerEmail: email } },
+            {
+              $lookup: {
+                from: "tickets",
+                localField: "ticketId",
+                foreignField: "_id",
+                as: "ticket",
+              },
+            },
+            { $unwind: "$ticket" },
+            {
+              $project: {
+                _id: 1,
+                quantity: 1,
+                seats: 1,
+                passengers: 1,
+                status: 1,
+                createdAt: 1,
+                holdExpiresAt: 1,
+                moves: 1,
+                "pendingMove.expiresAt": 1,
+                "pendingMove.amountDue": 1,
+
+                title: "$ticket.title",
+                image: "$ticket.image",
+                from: "$ticket.from",
+                to: "$ticket.to",
+                departure: "$ticket.departure",
+                price: { $ifNull: ["$price", "$ticket.price"] },
+              },
+            },
+          ])
+          .toArray();
+
+        res.send(bookings);
+      } catch (err) {
+        console.error("GET /bookings error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.patch("/bookings/:id/accept", verifyJWT, async (req, res) => {
+      const id = toObjectId(req.params.id);
+      if (!id) return res.status(400).send({ message: "Invalid id" });
+
+      const booking = await bookingsCollection.findOne({ _id: id });
+      if (!booking)
+        return res.status(404).send({ message: "Booking not found" });
+
+      if (booking.vendorEmail !== req.decoded.email) {
+        return res.status(403).send({ message: "Forbidden" });
+      }
+
+      if (booking.status !== "pending") {
+        return res
+          .status(400)
+          .send({ message: "Only pending bookings can be accepted" });
+      }
+
+      if (isHoldExpired(booking)) {
+        await expireBooking(booking);
+        return res.status(400).send({ message: "Booking hold expired" });
+      }
+
+      const result = await bookingsCollection.updateOne(
+        { _id: id, status: "pending" },
+        {
+          $set: {
+            status: "accepted",
+            acceptedAt: new Date(),
+            holdExpiresAt: holdDeadline(PAYMENT_HOLD_MINUTES),
+          },
+        }
+      );
+
+      res.send({ success: true, modifiedCount: result.modifiedCount });
+    });
+
+    app.patch("/bookings/:id/reject", verifyJWT, async (req, res) => {
+      const id = toObjectId(req.params.id);
+      if (!id) return res.status(400).send({ message: "Invalid id" });
+
+      const booking = await bookingsCollection.findOne({ _id: id });
+      if (!booking)
+        return res.status(404).send({ message: "Booking not found" });
+
+      if (booking.vendorEmail !== req.decoded.email)
+        return res.status(403).send({ message: "Forbidden" });
+
+      if (booking.status !== "pending") {
+        return res
+          .status(400)
+          .send({ message: "Only pending bookings can be rejected" });
+      }
+
+      // the hold sweeper or the customer may have moved it meanwhile
+      const result = await bookingsCollection.updateOne(
+        { _id: id, status: "pending" },
+        { $set: { status: "rejected", rejectedAt: new Date() } }
+      );
+      if (!result.modifiedCount) {
+        return res
+          .status(409)
+          .send({ message: "Booking is no longer pending" });
+      }
+      await releaseSeats(booking);
+      await abandonOrder(booking);
+
+      res.send({ success: true });
+    });
+
+    app.post("/bookings/:id/cancel", verifyJWT, async (req, res) => {
+      try {
+        const id = toObjectId(req.params.id);
+        if (!id) return res.status(400).send({ message: "Invalid id" });
+
+        const booking = await bookingsCollection.findOne({ _id: id });
+        if (!booking)
+          return res.status(404).send({ message: "Booking not found" });
+
+        if (booking.customerEmail !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        // nothing was charged yet, just give the seats back
+        if (booking.status === "pending" || booking.status === "accepted") {
+          const result = await bookingsCollection.updateOne(
+            { _id: id, status: booking.status },
+            { $set: { status: "cancelled", cancelledAt: new Date() } }
+          );
+          if (result.modifiedCount) {
+            await releaseSeats(booking);
+            await abandonOrder(booking);
+            // a cancelled booking must not be payable anymore
+            await expireBookingSession(booking);
+          }
+
+          return res.send({ success: true, status: "cancelled" });
+        }
+
+        if (booking.status !== "paid") {
+          return res.status(400).send({
+            message: "Only pending, accepted or paid bookings can be cancelled",
+          });
+        }
+
+        if (booking.refundable === false) {
+          return res
+            .status(400)
+            .send({ message: "This fare class is non-refundable" });
+        }
+
+        const quantity =
+          req.body?.quantity === undefined
+            ? booking.quantity
+            : Number(req.body.quantity);
+
+        if (
+          !Number.isInteger(quantity) ||
+          quantity <= 0 ||
+          quantity > booking.quantity
+        ) {
+          return res.status(400).send({ message: "Invalid quantity" });
+        }
+
+        const ticket = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        if (ticket && ticket.departure <= new Date()) {
+          return res.status(400).send({ message: "Departure time passed" });
+        }
+
+        const payment = await paymentsCollection.findOne({
+          bookingId: id,
+          kind: { $ne: "fare_difference" },
+        });
+        if (!payment) {
+          return res.status(404).send({ message: "Payment not found" });
+        }
+
+        const refund = await refundBooking(
+          booking,
+          payment,
+          quantity,
+          req.body?.reason
+        );
+        if (!refund) {
+          return res
+            .status(409)
+            .send({ message: "Booking is already being cancelled" });
+        }
+
+        res.send({
+          success: true,
+          status: quantity >= booking.quantity ? "refunded" : "paid",
+          refund,
+        });
+      } catch (err) {
+        console.error("POST /bookings/:id/cancel error:", err);
+        res.status(500).send({ message: "Cancellation failed" });
+      }
+    });
+
+    app.get("/bookings/vendor/:email", verifyJWT, async (req, res) => {
+      try {
+        const vendorEmail = req.params.email;
+
+        if (vendorEmail !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        const bookings = await bookingsCollection
+          .aggregate([
+            {
+              $lookup: {
+                from: "tickets",
+                localField: "ticketId",
+                foreignField: "_id",
+                as: "ticket",
+              },
+            },
+            { $unwind: "$ticket" },
+
+            {
+              $match: {
+                "ticket.vendorEmail": vendorEmail,
+                ...(req.query.fareClass && {
+                  fareClass: String(req.query.fareClass).toLowerCase(),
+                }),
+              },
+            },
+
+            {
+              $project: {
+                _id: 1,
+                customerEmail: 1,
+                quantity: 1,
+                seats: 1,
+                passengers: 1,
+                fareClass: 1,
+                fareClassName: 1,
+                status: 1,
+                createdAt: 1,
+
+                ticketTitle: "$ticket.title",
+                unitPrice: { $ifNull: ["$price", "$ticket.price"] },
+              },
+            },
+          ])
+          .toArray();
+
+        res.send(bookings);
+      } catch (err) {
+        console.error("GET /bookings/vendor error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ===============================
+           E-TICKETS & CHECK-IN
+       ================================ */
+    // Every passenger of a paid booking gets a signed token (see
+    // services/eticket.js) that vendors scan at boarding
+    const eticketSecret = () => {
+      if (!process.env.ETICKET_SECRET) {
+        throw new Error("ETICKET_SECRET is not defined");
+      }
+      return process.env.ETICKET_SECRET;
+    };
+
+    // one entry per passenger still on the booking (partial refunds drop
+    // the last ones), numbered from 1
+    const passengersOf = (booking) =>
+      Array.from({ length: booking.quantity }, (_, i) => ({
+        passenger: i + 1,
+        seat: booking.seats?.[i] ?? null,
+      }));
+
+    // The boarding passes of a paid booking. PNG QR code of one passenger
+    // (?passenger=N, default 1), or ?format=json for all tokens.
+    app.get("/bookings/:id/eticket", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const booking = await bookingsCollection.findOne({ _id: oid });
+        if (!booking || booking.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Booking not found" });
+        if (booking.status !== "paid") {
+          return res
+            .status(400)
+            .send({ message: "E-tickets are issued for paid bookings" });
+        }
+
+        const secret = eticketSecret();
+        const passes = passengersOf(booking).map((p) => ({
+          ...p,
+          token: signTicket(
+            { bookingId: oid, ticketId: booking.ticketId, ...p },
+            secret
+          ),
+        }));
+
+        if (req.query.format === "json") {
+          return res.send({ bookingId: oid, title: booking.title, passes });
+        }
+
+        const passenger = parseInt(req.query.passenger) || 1;
+        const pass = passes.find((p) => p.passenger === passenger);
+        if (!pass)
+          return res.status(404).send({ message: "No such passenger" });
+
+        const png = await renderQr(pass.token);
+        res.set({
+          "Content-Type": "image/png",
+          "Content-Disposition": `inline; filename="eticket-${oid}-${passenger}.png"`,
+          "Cache-Control": "private, no-store",
+        });
+        res.send(png);
+      } catch (err) {
+        console.error("GET /bookings/:id/eticket error:", err);
+        res.status(500).send({ message: "Failed to issue e-ticket" });
+      }
+    });
+
+    // Scans a boarding pass. `ticketId` optionally pins the departure the
+    // vendor is boarding, so a pass for another trip is turned away.
+    app.post("/checkin", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const pass = verifyTicket(req.body?.token, eticketSecret());
+        if (!pass) return res.status(400).send({ message: "Invalid e-ticket" });
+
+        const bookingId = toObjectId(pass.bookingId);
+        const booking =
+          bookingId && (await bookingsCollection.findOne({ _id: bookingId }));
+        if (!booking || booking.vendorEmail !== req.decoded.email) {
+          return res
+            .status(403)
+            .send({ message: "E-ticket is not for one of your departures" });
+        }
+        // passes issued before a reschedule are for the old departure
+        if (
+          pass.ticketId !== booking.ticketId.toString() ||
+          (req.body.ticketId && req.body.ticketId !== pass.ticketId)
+        ) {
+          return res
+            .status(400)
+            .send({ message: "E-ticket is for another departure" });
+        }
+        if (booking.status !== "paid") {
+          return res.status(400).send({ message: "Booking is not paid" });
+        }
+
+        const current = passengersOf(booking).find(
+          (p) => p.passenger === pass.passenger && p.seat === pass.seat
+        );
+        if (!current) {
+          return res
+            .status(400)
+            .send({ message: "Passenger is no longer on this booking" });
+        }
+
+        const checkin = {
+          bookingId,
+          ticketId: booking.ticketId,
+          vendorEmail: booking.vendorEmail,
+          customerEmail: booking.customerEmail,
+          passenger: pass.passenger,
+          seat: pass.seat,
+          checkedInAt: new Date(),
+        };
+        try {
+          await checkinsCollection.insertOne(checkin);
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+          const first = await checkinsCollection.findOne({
+            bookingId,
+            passenger: pass.passenger,
+          });
+          return res.status(409).send({
+            message: `Already checked in at ${formatLocal(first.checkedInAt)}`,
+            checkedInAt: first.checkedInAt,
+          });
+        }
+
+        res.send({
+          success: true,
+          title: booking.title,
+          customerEmail: booking.customerEmail,
+          passenger: pass.passenger,
+          seat: pass.seat,
+          checkedInAt: checkin.checkedInAt,
+        });
+      } catch (err) {
+        console.error("POST /checkin error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Boarded vs. not (yet) boarded passengers of a departure; after
+    // departure the ones not boarded count as no-shows
+    app.get(
+      "/tickets/:id/checkins",
+      verifyJWT,
+      verifyVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const ticket = await ticketsCollection.findOne({ _id: oid });
+          if (!ticket || ticket.vendorEmail !== req.decoded.email)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          const bookings = await bookingsCollection
+            .find({ ticketId: oid, status: "paid" })
+            .project({ quantity: 1 })
+            .toArray();
+          const passengers = bookings.reduce((sum, b) => sum + b.quantity, 0);
+
+          const checkins = await checkinsCollection
+            .find({
+              ticketId: oid,
+              bookingId: { $in: bookings.map((b) => b._id) },
+            })
+            .sort({ checkedInAt: 1 })
+            .toArray();
+
+          const departed = ticket.departure <= new Date();
+          const missing = passengers - checkins.length;
+
+          res.send({
+            ticketId: oid,
+            departure: ticket.departure,
+            departed,
+            passengers,
+            boarded: checkins.length,
+            notBoarded: departed ? 0 : missing,
+            noShow: departed ? missing : 0,
+            checkins,
+          });
+        } catch (err) {
+          console.error("GET /tickets/:id/checkins error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // Customers fill in or correct who travels, e.g. on waitlist offers
+    app.patch("/bookings/:id/passengers", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const booking = await bookingsCollection.findOne({ _id: oid });
+        if (!booking || booking.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Booking not found" });
+        if (!["pending", "accepted", "paid"].includes(booking.status)) {
+          return res
+            .status(400)
+            .send({ message: "Booking is no longer active" });
+        }
+
+        const ticket = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        if (!ticket || ticket.departure <= new Date()) {
+          return res.status(400).send({ message: "Departure time passed" });
+        }
+        if (await checkinsCollection.findOne({ bookingId: oid })) {
+          return res
+            .status(400)
+            .send({ message: "Passengers already checked in" });
+        }
+
+        const { passengers, error } = parsePassengers(
+          req.body?.passengers,
+          booking.quantity,
+          { requireId: needsPassengerIds(ticket) }
+        );
+        if (error) return res.status(400).send({ message: error });
+
+        // the quantity guard keeps a partial refund from slipping in between
+        const result = await bookingsCollection.updateOne(
+          { _id: oid, quantity: booking.quantity },
+          { $set: { passengers } }
+        );
+        if (!result.matchedCount) {
+          return res
+            .status(409)
+            .send({ message: "Booking changed meanwhile, try again" });
+        }
+
+        res.send({ success: true, passengers });
+      } catch (err) {
+        console.error("PATCH /bookings/:id/passengers error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Passenger list of a departure: one row per seat of the paid bookings
+    const MANIFEST_COLUMNS = [
+      "bookingId",
+      "passenger",
+      "seat",
+      "name",
+      "age",
+      "idNumber",
+      "phone",
+      "customerEmail",
+      "fareClass",
+      "checkedIn",
+      "checkedInAt",
+    ];
+
+    app.get(
+      "/tickets/:id/manifest",
+      verifyJWT,
+      verifyVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const ticket = await ticketsCollection.findOne({ _id: oid });
+          if (!ticket || ticket.vendorEmail !== req.decoded.email)
+            return res.status(404).send({ message: "Ticket not found" });
+
+          const bookings = await bookingsCollection
+            .find({ ticketId: oid, status: "paid" })
+            .sort({ paidAt: 1 })
+            .toArray();
+          const checkins = await checkinsCollection
+            .find({ ticketId: oid })
+            .toArray();
+          const checkinOf = (bookingId, passenger) =>
+            checkins.find(
+              (c) => c.bookingId.equals(bookingId) && c.passenger === passenger
+            );
+
+          const rows = bookings.flatMap((booking) =>
+            passengersOf(booking).map(({ passenger, seat }) => {
+              const person = booking.passengers?.[passenger - 1] || {};
+              const checkin = checkinOf(booking._id, passenger);
+              return {
+                bookingId: booking._id.toString(),
+                passenger,
+                seat,
+                name: person.name ?? null,
+                age: person.age ?? null,
+                idNumber: person.idNumber ?? null,
+                phone: person.phone ?? null,
+                customerEmail: booking.customerEmail,
+                fareClass: booking.fareClass || null,
+                checkedIn: !!checkin,
+                checkedInAt: checkin?.checkedInAt || null,
+              };
+            })
+          );
+
+          if (req.query.format === "json") {
+            return res.send({
+              ticketId: oid,
+              title: ticket.title,
+              from: ticket.from,
+              to: ticket.to,
+              departure: ticket.departure,
+              passengers: rows,
+            });
+          }
+
+          const day = localDate(ticket.departure);
+          res.set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="manifest-${day}-${oid}.csv"`,
+          });
+          res.send(
+            toCsv(
+              rows.map((row) => ({
+                ...row,
+                checkedIn: row.checkedIn ? "yes" : "no",
+                checkedInAt: row.checkedInAt?.toISOString() || "",
+              })),
+              MANIFEST_COLUMNS
+            )
+          );
+        } catch (err) {
+          console.error("GET /tickets/:id/manifest error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+               RESCHEDULING
+       ================================ */
+    // A booking can move to another departure of the same vendor and route.
+    // The new seats are taken before the old ones are given back. For paid
+    // bookings a higher fare is charged through its own checkout while the
+    // new seats wait in `pendingMove`; a lower one is refunded to the card
+    // or, if the customer prefers, given as a credit coupon for the vendor.
+    // Non-refundable fares only get credit. A coupon used on the booking
+    // still counts on the new fare.
+    const CREDIT_VALID_DAYS = Number(process.env.CREDIT_VALID_DAYS) || 365;
+
+    // What the customer has paid for the booking's current seats, net of
+    // refunds, and the coupon discount they got on those seats
+    const paidForBooking = async (bookingId) => {
+      const payments = await paymentsCollection.find({ bookingId }).toArray();
+      let paid = 0;
+      let discount = 0;
+      for (const p of payments) {
+        paid += p.amount - (p.refundedAmount || 0);
+        // fare differences have no seats and no discount
+        if (p.quantity && p.discountAmount) {
+          discount +=
+            (p.discountAmount * (p.quantity - (p.refundedQuantity || 0))) /
+            p.quantity;
+        }
+      }
+      return { paid: roundMoney(paid), discount: roundMoney(discount) };
+    };
+
+    // Switches the booking over to `moveTo` (ticket, seats, fare and price
+    // fields), keeps the move in its history and frees the old seats.
+    // Returns false when the booking changed in the meantime.
+    const applyMove = async (booking, moveTo, move, filter = {}) => {
+      const result = await bookingsCollection.updateOne(
+        {
+          _id: booking._id,
+          status: booking.status,
+          ticketId: booking.ticketId,
+          quantity: booking.quantity,
+          ...filter,
+        },
+        {
+          $set: moveTo,
+          $unset: { quoteId: "", pendingMove: "" },
+          $push: {
+            moves: {
+              from: {
+                ticketId: booking.ticketId,
+                title: booking.title,
+                seats: booking.seats || null,
+                price: booking.price,
+              },
+              to: {
+                ticketId: moveTo.ticketId,
+                title: moveTo.title,
+                seats: moveTo.seats,
+                price: moveTo.price,
+              },
+              ...move,
+              movedAt: new Date(),
+            },
+          },
+        }
+      );
+      if (!result.modifiedCount) return false;
+
+      await releaseSeats({
+        ticketId: booking.ticketId,
+        quantity: booking.quantity,
+        seats: booking.seats,
+        fareClass: booking.fareClass,
+      });
+      return true;
+    };
+
+    // Gives back the seats of a move that was never paid for
+    const dropPendingMove = async (booking) => {
+      const { id, ticketId, seats, fareClass } = booking.pendingMove;
+      const result = await bookingsCollection.updateOne(
+        { _id: booking._id, "pendingMove.id": id },
+        { $unset: { pendingMove: "" } }
+      );
+      if (result.modifiedCount) {
+        await releaseSeats({
+          ticketId,
+          quantity: booking.quantity,
+          seats,
+          fareClass,
+        });
+      }
+    };
+
+    const expireStaleMoves = async () => {
+      const stale = await bookingsCollection
+        .find({ "pendingMove.expiresAt": { $lte: new Date() } })
+        .toArray();
+      for (const booking of stale) await dropPendingMove(booking);
+    };
+
+    // Single-use coupon worth `amount` for the customer at the same vendor
+    const issueCredit = async (booking, amount, code) => {
+      await couponsCollection.insertOne({
+        code,
+        kind: "credit",
+        discountType: "fixed",
+        value: amount,
+        currency: currencyOf(booking),
+        vendorEmail: booking.vendorEmail,
+        customerEmail: booking.customerEmail,
+        maxUses: 1,
+        validUntil: new Date(Date.now() + CREDIT_VALID_DAYS * DAY_MS),
+        active: true,
+        usedCount: 0,
+        createdBy: "reschedule",
+        createdAt: new Date(),
+      });
+    };
+
+    // Checkout side of a move that costs more: records the fare difference
+    // as its own payment and completes the move. Paid after the move lapsed
+    // (seats already given back) the money is refunded right away.
+    const recordMovePayment = async (session) => {
+      const bookingId = toObjectId(session.metadata.bookingId);
+      const booking =
+        bookingId && (await bookingsCollection.findOne({ _id: bookingId }));
+      if (!booking) return { found: false };
+
+      const pending =
+        booking.pendingMove?.id.toString() === session.metadata.moveId
+          ? booking.pendingMove
+          : null;
+
+      const paidAt = new Date();
+      const amount = fromMinorUnits(session.amount_total, session.currency);
+      const exchangeRate = await getExchangeRate(session.currency);
+      const result = await upsertPayment(session.payment_intent, bookingId, {
+        kind: "fare_difference",
+        bookingId,
+        ticketId: pending?.ticketId || booking.ticketId,
+        customerEmail: booking.customerEmail,
+        ticketTitle: pending?.title || booking.title,
+        amount,
+        quantity: 0,
+        currency: session.currency,
+        baseCurrency: BASE_CURRENCY,
+        exchangeRate,
+        baseAmount:
+          exchangeRate === null ? null : roundMoney(amount * exchangeRate),
+        originalAmount: amount,
+        discountAmount: 0,
+        couponCode: null,
+        fareClass: pending ? pending.fareClass : booking.fareClass || null,
+        transactionId: session.payment_intent,
+        paidAt,
+      });
+      if (!result.upsertedCount) return { found: true, created: false };
+
+      const payment = await paymentsCollection.findOne({
+        _id: result.upsertedId,
+      });
+      await assignInvoiceNumber(payment._id);
+      await postPaymentLedger(payment);
+
+      if (pending) {
+        const { id, amountDue, checkoutSessionId, expiresAt, ...moveTo } =
+          pending;
+        const moved = await applyMove(
+          booking,
+          moveTo,
+          { id, fareDifference: amountDue, settlement: "charged" },
+          { "pendingMove.id": id }
+        );
+        if (moved) return { found: true, created: true };
+      }
+
+      console.warn("Fare difference paid after the move lapsed:", bookingId);
+      await refundPaymentAmount(
+        booking,
+        payment,
+        amount,
+        "Reschedule expired before payment"
+      );
+      return { found: true, created: true };
+    };
+
+    app.post("/bookings/:id/reschedule", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        let booking = await bookingsCollection.findOne({ _id: oid });
+        if (!booking || booking.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Booking not found" });
+        if (!["pending", "accepted", "paid"].includes(booking.status)) {
+          return res
+            .status(400)
+            .send({ message: "Only active bookings can be rescheduled" });
+        }
+        if (booking.orderId) {
+          return res.status(400).send({
+            message: "Bookings bought together cannot be moved one by one",
+          });
+        }
+        if (booking.pendingMove) {
+          if (booking.pendingMove.expiresAt > new Date()) {
+            return res.status(409).send({
+              message: "Another reschedule is waiting for payment",
+            });
+          }
+          await dropPendingMove(booking);
+          booking = await bookingsCollection.findOne({ _id: oid });
+        }
+        if (await checkinsCollection.findOne({ bookingId: oid })) {
+          return res
+            .status(400)
+            .send({ message: "Passengers already checked in" });
+        }
+
+        const current = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        if (!current || current.departure <= new Date()) {
+          return res.status(400).send({ message: "Departure time passed" });
+        }
+
+        const targetOid = req.body?.ticketId && toObjectId(req.body.ticketId);
+        if (!targetOid)
+          return res.status(400).send({ message: "Invalid ticketId" });
+        if (targetOid.equals(booking.ticketId)) {
+          return res
+            .status(400)
+            .send({ message: "Booking is already on this departure" });
+        }
+
+        const target = await ticketsCollection.findOne({
+          _id: targetOid,
+          hidden: { $ne: true },
+        });
+        if (!target)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (
+          target.vendorEmail !== booking.vendorEmail ||
+          !sameText(target.from, current.from) ||
+          !sameText(target.to, current.to)
+        ) {
+          return res.status(400).send({
+            message: "Bookings can only move to the same vendor's route",
+          });
+        }
+        if (target.verificationStatus !== "approved" || target.cancelled) {
+          return res
+            .status(400)
+            .send({ message: "Ticket is not open for booking" });
+        }
+        if (target.departure <= new Date()) {
+          return res.status(400).send({ message: "Departure time passed" });
+        }
+        if (currencyOf(target) !== currencyOf(booking)) {
+          return res
+            .status(400)
+            .send({ message: "Ticket is sold in another currency" });
+        }
+        if (needsPassengerIds(target) && !booking.passengers) {
+          return res
+            .status(400)
+            .send({ message: "Add passenger details before moving" });
+        }
+
+        const settlement = req.body.settlement ?? "refund";
+        if (!["refund", "credit"].includes(settlement)) {
+          return res
+            .status(400)
+            .send({ message: "settlement must be refund or credit" });
+        }
+
+        // stay in the same fare class when the new departure has it
+        const keepClass = target.fareClasses?.some(
+          (f) => f.code === booking.fareClass
+        );
+        const { fare, error } = pickFareClass(
+          target,
+          req.body.fareClass ?? (keepClass ? booking.fareClass : undefined),
+          booking.quantity
+        );
+        if (error) return res.status(400).send({ message: error });
+
+        const requestedSeats = Array.isArray(req.body.seats)
+          ? [...new Set(req.body.seats.map(String))]
+          : [];
+        const picked = chooseSeats(
+          target,
+          fare,
+          booking.quantity,
+          requestedSeats
+        );
+        if (picked.error) {
+          return res
+            .status(picked.error.status)
+            .send({ message: picked.error.message });
+        }
+
+        if (
+          !(await takeSeats(
+            targetOid,
+            booking.quantity,
+            picked.seats,
+            fare?.code
+          ))
+        ) {
+          return res.status(400).send({
+            message: requestedSeats.length
+              ? "Selected seats are no longer available"
+              : "Not enough tickets available",
+          });
+        }
+
+        const quote = quotePrice(
+          fare ? { ...target, price: fare.price } : target
+        );
+        const moveTo = {
+          ticketId: targetOid,
+          title: target.title,
+          seats: picked.seats || null,
+          fareClass: fare?.code || null,
+          fareClassName: fare?.name || null,
+          refundable: fare ? fare.refundable : null,
+          price: quote.price,
+          basePrice: quote.basePrice,
+          priceBreakdown: quote.breakdown,
+        };
+        // the new seats are ours now, they go back if the move fails
+        const giveBack = () =>
+          releaseSeats({
+            ticketId: targetOid,
+            quantity: booking.quantity,
+            seats: moveTo.seats,
+            fareClass: moveTo.fareClass,
+          });
+        const changedMeanwhile = () =>
+          res
+            .status(409)
+            .send({ message: "Booking changed meanwhile, try again" });
+
+        // nothing paid yet: the booking is simply priced for the new trip
+        if (booking.status !== "paid") {
+          const moved = await applyMove(booking, moveTo, {
+            id: new ObjectId(),
+            fareDifference: 0,
+            settlement: "none",
+          });
+          if (!moved) {
+            await giveBack();
+            return changedMeanwhile();
+          }
+
+          // an open session would still charge the old price
+          if (
+            booking.checkoutSessionId &&
+            booking.checkoutExpiresAt > new Date()
+          ) {
+            await paymentProvider
+              .expireCheckoutSession(booking.checkoutSessionId)
+              .catch((err) => console.error("Session expire error:", err));
+          }
+
+          return res.send({
+            success: true,
+            status: booking.status,
+            fareDifference: 0,
+          });
+        }
+
+        const { paid, discount } = await paidForBooking(oid);
+        const fareDifference = roundMoney(
+          Math.max(0, quote.price * booking.quantity - discount) - paid
+        );
+
+        if (
+          fareDifference < 0 &&
+          settlement === "refund" &&
+          booking.refundable === false
+        ) {
+          await giveBack();
+          return res.status(400).send({
+            message:
+              "This fare class is non-refundable, the difference can only be credited",
+            fareDifference,
+          });
+        }
+
+        if (fareDifference > 0) {
+          if (!process.env.SITE_DOMAIN) {
+            await giveBack();
+            throw new Error("SITE_DOMAIN is not defined");
+          }
+
+          const moveId = new ObjectId();
+          const currency = currencyOf(booking);
+          const expiresAt = new Date(
+            Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000
+          );
+          const metadata = {
+            bookingId: oid.toString(),
+            moveId: moveId.toString(),
+          };
+
+          let session;
+          try {
+            session = await paymentProvider.createCheckoutSession({
+              mode: "payment",
+              payment_method_types: ["card"],
+              customer_email: booking.customerEmail,
+              line_items: [
+                {
+                  price_data: {
+                    currency,
+                    unit_amount: toMinorUnits(fareDifference, currency),
+                    product_data: {
+                      name: `Fare difference: ${target.title}`,
+                    },
+                  },
+                  quantity: 1,
+                },
+              ],
+              metadata,
+              payment_intent_data: { metadata },
+              expires_at: Math.floor(expiresAt.getTime() / 1000),
+              success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+              cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
+            });
+          } catch (err) {
+            await giveBack();
+            throw err;
+          }
+
+          const held = await bookingsCollection.updateOne(
+            {
+              _id: oid,
+              status: "paid",
+              ticketId: booking.ticketId,
+              quantity: booking.quantity,
+              pendingMove: { $exists: false },
+            },
+            {
+              $set: {
+                pendingMove: {
+                  id: moveId,
+                  ...moveTo,
+                  amountDue: fareDifference,
+                  checkoutSessionId: session.id,
+                  expiresAt,
+                },
+              },
+            }
+          );
+          if (!held.modifiedCount) {
+            await giveBack();
+            await paymentProvider
+              .expireCheckoutSession(session.id)
+              .catch((err) => console.error("Session expire error:", err));
+            return changedMeanwhile();
+          }
+
+          return res.send({
+            success: true,
+            status: "awaiting_payment",
+            fareDifference,
+            url: session.url,
+            sessionId: session.id,
+            expiresAt,
+          });
+        }
+
+        const overpaid = fareDifference < 0 ? -fareDifference : 0;
+        const creditCode =
+          overpaid && settlement === "credit"
+            ? `CREDIT-${crypto.randomBytes(4).toString("hex").toUpperCase()}`
+            : null;
+
+        const moved = await applyMove(booking, moveTo, {
+          id: new ObjectId(),
+          fareDifference,
+          settlement: !overpaid ? "none" : creditCode ? "credited" : "refunded",
+          ...(creditCode && { creditCode }),
+        });
+        if (!moved) {
+          await giveBack();
+          return changedMeanwhile();
+        }
+
+        if (creditCode) {
+          await issueCredit(booking, overpaid, creditCode);
+          return res.send({
+            success: true,
+            status: "paid",
+            fareDifference,
+            creditCode,
+          });
+        }
+
+        // give the overpayment back, newest payments first
+        let refundError = null;
+        if (overpaid) {
+          try {
+            const payments = await paymentsCollection
+              .find({ bookingId: oid })
+              .sort({ paidAt: -1 })
+              .toArray();
+            let left = overpaid;
+            for (const payment of payments) {
+              const part = Math.min(
+                left,
+                roundMoney(payment.amount - (payment.refundedAmount || 0))
+              );
+              if (part <= 0) continue;
+              await refundPaymentAmount(
+                booking,
+                payment,
+                part,
+                "Rescheduled to a cheaper fare"
+              );
+              left = roundMoney(left - part);
+              if (!left) break;
+            }
+          } catch (err) {
+            console.error("Reschedule refund error:", err);
+            refundError = err.message;
+          }
+        }
+
+        res.send({
+          success: true,
+          status: "paid",
+          fareDifference,
+          ...(refundError && { refundError }),
+        });
+      } catch (err) {
+        console.error("POST /bookings/:id/reschedule error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ===============================
+                 WAITLIST
+       ================================ */
+    // Customers queue for sold-out tickets. Whenever seats come back
+    // (releaseSeats) the head of the queue gets a pending booking that holds
+    // them for WAITLIST_OFFER_MINUTES; if that lapses the seats move on to
+    // the next entry. Strictly first come, first served: an entry that wants
+    // more seats than are free blocks the ones behind it.
+    const WAITLIST_OFFER_MINUTES =
+      Number(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+    // Offers freed seats down the queue, returns how many offers were made
+    const offerWaitlist = async (ticketId) => {
+      let offered = 0;
+
+      for (;;) {
+        const ticket = await ticketsCollection.findOne({ _id: ticketId });
+        if (
+          !ticket ||
+          ticket.cancelled ||
+          ticket.verificationStatus !== "approved" ||
+          ticket.departure <= new Date()
+        ) {
+          return offered;
+        }
+
+        // claim the head of the queue so no other release offers it too
+        const entry = await waitlistCollection.findOneAndUpdate(
+          { ticketId, status: "waiting" },
+          { $set: { status: "offering" } },
+          { sort: { createdAt: 1, _id: 1 } }
+        );
+        if (!entry) return offered;
+
+        const { booking, error } = await reserveBooking({
+          ticket,
+          quantity: entry.quantity,
+          fareClass: entry.fareClass,
+          customerEmail: entry.customerEmail,
+          // payable right away, the offer would lapse waiting for the
+          // vendor to accept it
+          status: "accepted",
+          holdMinutes: WAITLIST_OFFER_MINUTES,
+          extra: { waitlistId: entry._id, acceptedAt: new Date() },
+        });
+        if (error) {
+          await waitlistCollection.updateOne(
+            { _id: entry._id, status: "offering" },
+            { $set: { status: "waiting" } }
+          );
+          return offered;
+        }
+
+        await waitlistCollection.updateOne(
+          { _id: entry._id },
+          {
+            $set: {
+              status: "offered",
+              bookingId: booking._id,
+              offeredAt: booking.createdAt,
+              offerExpiresAt: booking.holdExpiresAt,
+            },
+          }
+        );
+
+        const until = formatLocal(booking.holdExpiresAt);
+        await notify(entry.customerEmail, {
+          type: "waitlist_offer",
+          title: `Seats available on ${ticket.title}`,
+          message: `${entry.quantity} seat(s) are held for you until ${until}. Complete the booking before then or they go to the next person.`,
+          data: {
+            ticketId,
+            bookingId: booking._id,
+            waitlistId: entry._id,
+          },
+        });
+        offered++;
+      }
+    };
+
+    app.post("/waitlist", verifyJWT, async (req, res) => {
+      try {
+        const customerEmail = req.decoded.email;
+        const quantity = Number(req.body?.quantity ?? 1);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).send({ message: "Invalid quantity" });
+        }
+
+        const ticketOid = req.body?.ticketId && toObjectId(req.body.ticketId);
+        if (!ticketOid)
+          return res.status(400).send({ message: "Invalid ticketId" });
+
+        const ticket = await ticketsCollection.findOne({
+          _id: ticketOid,
+          hidden: { $ne: true },
+        });
+        if (!ticket)
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.verificationStatus !== "approved" || ticket.cancelled) {
+          return res
+            .status(400)
+            .send({ message: "Ticket is not open for booking" });
+        }
+        if (ticket.departure <= new Date()) {
+          return res.status(400).send({ message: "Departure time passed" });
+        }
+
+        const { fare, error } = pickFareClass(
+          ticket,
+          req.body.fareClass,
+          quantity
+        );
+        if (error) return res.status(400).send({ message: error });
+
+        const inQueue = await waitlistCollection.countDocuments({
+          ticketId: ticketOid,
+          status: { $in: ["waiting", "offering"] },
+        });
+        const free = fare ? fare.quantity : ticket.quantity;
+        if (!inQueue && free >= quantity) {
+          return res
+            .status(400)
+            .send({ message: "Seats are available, book them directly" });
+        }
+
+        const existing = await waitlistCollection.findOne({
+          ticketId: ticketOid,
+          customerEmail,
+          status: { $in: ["waiting", "offering", "offered"] },
+        });
+        if (existing) {
+          return res
+            .status(409)
+            .send({ message: "You are already on this waitlist" });
+        }
+
+        const entry = {
+          ticketId: ticketOid,
+          customerEmail,
+          quantity,
+          fareClass: req.body.fareClass ? fare.code : null,
+          status: "waiting",
+          createdAt: new Date(),
+        };
+        const result = await waitlistCollection.insertOne(entry);
+
+        res.send({
+          success: true,
+          waitlistId: result.insertedId,
+          position: inQueue + 1,
+        });
+      } catch (err) {
+        console.error("POST /waitlist error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // The customer's entries, waiting ones with their place in the queue
+    app.get("/waitlist", verifyJWT, async (req, res) => {
+      try {
+        const entries = await waitlistCollection
+          .find({ customerEmail: req.decoded.email })
+          .sort({ createdAt: -1 })
+          .limit(100)
+          .toArray();
+
+        for (const entry of entries) {
+          if (entry.status !== "waiting") continue;
+          entry.position =
+            (await waitlistCollection.countDocuments({
+              ticketId: entry.ticketId,
+              status: { $in: ["waiting", "offering"] },
+              createdAt: { $lt: entry.createdAt },
+            })) + 1;
+        }
+
+        res.send(entries);
+      } catch (err) {
+        console.error("GET /waitlist error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Leaving the queue; an offer is turned down by cancelling its booking
+    app.delete("/waitlist/:id", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const result = await waitlistCollection.updateOne(
+          { _id: oid, customerEmail: req.decoded.email, status: "waiting" },
+          { $set: { status: "cancelled", endedAt: new Date() } }
+        );
+        if (!result.modifiedCount) {
+          return res
+            .status(404)
+            .send({ message: "No waiting entry with this id" });
+        }
+
+        res.send({ success: true });
+      } catch (err) {
+        console.error("DELETE /waitlist/:id error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ===============================
+               AD CAMPAIGNS
+       ================================ */
+    // A campaign shows one ticket in one of AD_SLOTS homepage slots from
+    // startsAt until endsAt (open-ended when null). Overlapping campaigns in
+    // a slot are decided by priority. Admins place campaigns for free,
+    // vendors buy a free slot at AD_DAY_PRICE per day through checkout.
+    const AD_SLOTS = Number(process.env.AD_SLOTS) || 6;
+    const AD_DAY_PRICE = Number(process.env.AD_DAY_PRICE) || 5;
+
+    const runningCampaigns = (now = new Date()) => ({
+      status: "active",
+      startsAt: { $lte: now },
+      $or: [{ endsAt: null }, { endsAt: { $gt: now } }],
+    });
+
+    // campaigns that keep a slot busy during [startsAt, endsAt)
+    const overlappingCampaigns = (slot, startsAt, endsAt) => ({
+      slot,
+      $and: [
+        {
+          $or: [
+            { status: "active" },
+            {
+              status: "pending_payment",
+              checkoutExpiresAt: { $gt: new Date() },
+            },
+          ],
+        },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: startsAt } }] },
+        ...(endsAt ? [{ startsAt: { $lt: endsAt } }] : []),
+      ],
+    });
+
+    const freeAdSlot = async (startsAt = new Date(), endsAt = null) => {
+      for (let slot = 1; slot <= AD_SLOTS; slot++) {
+        const busy = await campaignsCollection.findOne(
+          overlappingCampaigns(slot, startsAt, endsAt)
+        );
+        if (!busy) return slot;
+      }
+      return null;
+    };
+
+    const newCampaign = (ticket, createdBy) => ({
+      ticketId: ticket._id,
+      vendorEmail: ticket.vendorEmail,
+      title: ticket.title,
+      priority: 0,
+      startsAt: new Date(),
+      endsAt: null,
+      impressions: 0,
+      clicks: 0,
+      createdBy,
+      createdAt: new Date(),
+    });
+
+    // slot, priority and dates from the body, on top of `current` for edits.
+    // Returns { fields } or { error }.
+    const parseCampaign = (body, current = {}) => {
+      const fields = {};
+
+      if (body.slot !== undefined) {
+        const slot = Number(body.slot);
+        if (!Number.isInteger(slot) || slot < 1 || slot > AD_SLOTS) {
+          return { error: `slot must be 1-${AD_SLOTS}` };
+        }
+        fields.slot = slot;
+      }
+      if (body.priority !== undefined) {
+        const priority = Number(body.priority);
+        if (!Number.isInteger(priority)) {
+          return { error: "priority must be a whole number" };
+        }
+        fields.priority = priority;
+      }
+      for (const key of ["startsAt", "endsAt"]) {
+        if (body[key] === undefined) continue;
+        fields[key] = body[key] === null ? null : new Date(body[key]);
+        if (fields[key] && isNaN(fields[key])) {
+          return { error: `Invalid ${key}` };
+        }
+      }
+
+      const startsAt = fields.startsAt ?? current.startsAt;
+      const endsAt = "endsAt" in fields ? fields.endsAt : current.endsAt;
+      if (!startsAt) return { error: "startsAt required" };
+      if (endsAt && endsAt <= startsAt) {
+        return { error: "endsAt must be after startsAt" };
+      }
+      return { fields };
+    };
+
+    const campaignStats = (campaign) => ({
+      ...campaign,
+      ctr: campaign.impressions
+        ? Math.round((campaign.clicks / campaign.impressions) * 10000) / 100
+        : 0,
+    });
+
+    // Webhook / reconciliation side of a vendor-paid campaign. A payment
+    // that comes in after the checkout lapsed only activates the campaign
+    // if nobody took its slot meanwhile and it wasn't cancelled, otherwise
+    // the money goes back.
+    const recordCampaignPayment = async (session) => {
+      const campaignId = toObjectId(session.metadata.campaignId);
+      const campaign =
+        campaignId && (await campaignsCollection.findOne({ _id: campaignId }));
+      if (!campaign) return { found: false };
+      const unpaid =
+        ["pending_payment", "expired"].includes(campaign.status) ||
+        (campaign.status === "cancelled" && !campaign.paidAt);
+      if (!unpaid) return { found: true, created: false };
+
+      const taken = await campaignsCollection.findOne({
+        ...overlappingCampaigns(
+          campaign.slot,
+          campaign.startsAt,
+          campaign.endsAt
+        ),
+        _id: { $ne: campaignId },
+      });
+      const over = campaign.endsAt && campaign.endsAt <= new Date();
+      const cancelled = campaign.status === "cancelled";
+
+      if (taken || over || cancelled) {
+        const claimed = await campaignsCollection.findOneAndUpdate(
+          { _id: campaignId, status: campaign.status },
+          { $set: { status: "refunding" } }
+        );
+        if (!claimed) return { found: true, created: false };
+
+        let refund;
+        try {
+          refund = await paymentProvider.createRefund(
+            {
+              payment_intent: session.payment_intent,
+              metadata: { campaignId: campaignId.toString() },
+            },
+            `refund-campaign-${campaignId}`
+          );
+        } catch (err) {
+          await campaignsCollection.updateOne(
+            { _id: campaignId, status: "refunding" },
+            { $set: { status: campaign.status } }
+          );
+          throw err;
+        }
+        await campaignsCollection.updateOne(
+          { _id: campaignId },
+          {
+            $set: {
+              status: "refunded",
+              transactionId: session.payment_intent,
+              stripeRefundId: refund.id,
+              refundedAt: new Date(),
+            },
+          }
+        );
+        await notify(campaign.vendorEmail, {
+          type: "campaign_refunded",
+          title: `Ad campaign for ${campaign.title} refunded`,
+          message: cancelled
+            ? "The payment arrived after the campaign was cancelled and was refunded."
+            : over
+            ? "The payment arrived after the campaign period ended and was refunded."
+            : `Ad slot ${campaign.slot} was booked by someone else before the payment arrived, the payment was refunded.`,
+          data: { campaignId },
+        });
+        return { found: true, created: false };
+      }
+
+      const activated = await campaignsCollection.findOneAndUpdate(
+        { _id: campaignId, status: campaign.status },
+        {
+          $set: {
+            status: "active",
+            paidAt: new Date(),
+            transactionId: session.payment_intent,
+          },
+        }
+      );
+      return { found: true, created: !!activated };
+    };
+
+    app.post("/campaigns", verifyJWT, verifyAdminOrVendor, async (req, res) => {
+      try {
+        const isAdmin = req.user.role === "admin";
+        const body = req.body || {};
+
+        const ticketOid = body.ticketId && toObjectId(body.ticketId);
+        if (!ticketOid)
+          return res.status(400).send({ message: "Invalid ticketId" });
+
+        const ticket = await ticketsCollection.findOne({ _id: ticketOid });
+        if (!ticket || (!isAdmin && ticket.vendorEmail !== req.user.email))
+          return res.status(404).send({ message: "Ticket not found" });
+        if (ticket.verificationStatus !== "approved" || ticket.cancelled) {
+          return res
+            .status(400)
+            .send({ message: "Only approved tickets can be advertised" });
+        }
+
+        if (!isAdmin && body.priority !== undefined) {
+          return res
+            .status(403)
+            .send({ message: "Only admins set campaign priority" });
+        }
+        const { fields, error } = parseCampaign(body);
+        if (error) return res.status(400).send({ message: error });
+        if (!fields.slot) {
+          return res.status(400).send({ message: "slot required" });
+        }
+
+        const campaign = { ...newCampaign(ticket, req.user.email), ...fields };
+
+        if (isAdmin) {
+          campaign.status = "active";
+          const result = await campaignsCollection.insertOne(campaign);
+          return res.send({ success: true, campaignId: result.insertedId });
+        }
+
+        // vendors pay per day for a slot nobody else has in that window
+        if (!campaign.endsAt) {
+          return res.status(400).send({ message: "endsAt required" });
+        }
+        if (campaign.startsAt < new Date(Date.now() - 60 * 1000)) {
+          return res
+            .status(400)
+            .send({ message: "startsAt cannot be in the past" });
+        }
+        const busy = await campaignsCollection.findOne(
+          overlappingCampaigns(
+            campaign.slot,
+            campaign.startsAt,
+            campaign.endsAt
+          )
+        );
+        if (busy) {
+          return res
+            .status(409)
+            .send({ message: "Slot is already booked for these dates" });
+        }
+        if (!process.env.SITE_DOMAIN) {
+          throw new Error("SITE_DOMAIN is not defined");
+        }
+
+        const days = Math.ceil((campaign.endsAt - campaign.startsAt) / DAY_MS);
+        const currency = BASE_CURRENCY;
+        const expiresAt = new Date(
+          Date.now() + CHECKOUT_SESSION_MINUTES * 60 * 1000
+        );
+
+        campaign._id = new ObjectId();
+        campaign.status = "pending_payment";
+        campaign.amount = roundMoney(days * AD_DAY_PRICE);
+        campaign.currency = currency;
+        campaign.checkoutExpiresAt = expiresAt;
+
+        const metadata = { campaignId: campaign._id.toString() };
+        const session = await paymentProvider.createCheckoutSession({
+          mode: "payment",
+          payment_method_types: ["card"],
+          customer_email: req.user.email,
+          line_items: [
+            {
+              price_data: {
+                currency,
+                unit_amount: toMinorUnits(AD_DAY_PRICE, currency),
+                product_data: {
+                  name: `Ad slot ${campaign.slot}: ${ticket.title}`,
+                },
               },
+              quantity: days,
+            },
+          ],
+          metadata,
+          payment_intent_data: { metadata },
+          expires_at: Math.floor(expiresAt.getTime() / 1000),
+          success_url: `${process.env.SITE_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.SITE_DOMAIN}/payment-cancelled`,
+        });
+
+        campaign.checkoutSessionId = session.id;
+        await campaignsCollection.insertOne(campaign);
+
+        res.send({
+          success: true,
+          campaignId: campaign._id,
+          amount: campaign.amount,
+          currency,
+          url: session.url,
+        });
+      } catch (err) {
+        console.error("POST /campaigns error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Admins see every campaign, vendors their own
+    app.get("/campaigns", verifyJWT, verifyAdminOrVendor, async (req, res) => {
+      try {
+        const q = {};
+        if (req.user.role !== "admin") q.vendorEmail = req.user.email;
+        if (req.query.status) q.status = String(req.query.status);
+
+        const campaigns = await campaignsCollection
+          .find(q)
+          .sort({ startsAt: -1 })
+          .limit(200)
+          .toArray();
+        res.send(campaigns.map(campaignStats));
+      } catch (err) {
+        console.error("GET /campaigns error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.patch("/campaigns/:id", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const campaign = await campaignsCollection.findOne({ _id: oid });
+        if (!campaign)
+          return res.status(404).send({ message: "Campaign not found" });
+
+        const { fields, error } = parseCampaign(req.body || {}, campaign);
+        if (error) return res.status(400).send({ message: error });
+
+        if (req.body?.status !== undefined) {
+          if (req.body.status !== "cancelled") {
+            return res
+              .status(400)
+              .send({ message: "status can only be set to cancelled" });
+          }
+          fields.status = "cancelled";
+          fields.cancelledAt = new Date();
+        }
+
+        await campaignsCollection.updateOne({ _id: oid }, { $set: fields });
+        res.send({ success: true });
+      } catch (err) {
+        console.error("PATCH /campaigns/:id error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // the homepage reports clicks on an advertised ticket
+    app.post("/campaigns/:id/click", async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const result = await campaignsCollection.updateOne(
+          { _id: oid, status: "active" },
+          { $inc: { clicks: 1 } }
+        );
+        if (!result.matchedCount)
+          return res.status(404).send({ message: "Campaign not found" });
+
+        res.send({ success: true });
+      } catch (err) {
+        console.error("POST /campaigns/:id/click error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get(
+      "/admin/campaigns/stats",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const campaigns = await campaignsCollection
+            .find({ status: { $in: ["active", "cancelled"] } })
+            .sort({ startsAt: -1 })
+            .toArray();
+
+          const totals = campaigns.reduce(
+            (sum, c) => ({
+              impressions: sum.impressions + (c.impressions || 0),
+              clicks: sum.clicks + (c.clicks || 0),
+              revenue: sum.revenue + (c.paidAt ? c.amount || 0 : 0),
+            }),
+            { impressions: 0, clicks: 0, revenue: 0 }
+          );
+
+          res.send({
+            currency: BASE_CURRENCY,
+            ...totals,
+            revenue: roundMoney(totals.revenue),
+            campaigns: campaigns.map((c) =>
+              campaignStats({
+                _id: c._id,
+                ticketId: c.ticketId,
+                title: c.title,
+                vendorEmail: c.vendorEmail,
+                slot: c.slot,
+                priority: c.priority,
+                startsAt: c.startsAt,
+                endsAt: c.endsAt,
+                status: c.status,
+                paid: !!c.paidAt,
+                amount: c.amount || 0,
+                impressions: c.impressions || 0,
+                clicks: c.clicks || 0,
+              })
+            ),
+          });
+        } catch (err) {
+          console.error("GET /admin/campaigns/stats error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+                 JOURNEYS
+       ================================ */
+    // Itineraries of up to JOURNEY_MAX_LEGS tickets for routes without a
+    // direct departure. Booking one creates an order with a booking per leg.
+    const JOURNEY_MAX_LEGS = Number(process.env.JOURNEY_MAX_LEGS) || 3;
+    const MIN_LAYOVER_MINUTES = Number(process.env.MIN_LAYOVER_MINUTES) || 30;
+    const MAX_LAYOVER_MINUTES = Number(process.env.MAX_LAYOVER_MINUTES) || 720;
+    const MAX_JOURNEYS = 20;
+
+    const layoverLimits = (query = {}) => ({
+      minLayoverMs:
+        (Number(query.minLayover) || MIN_LAYOVER_MINUTES) * 60 * 1000,
+      maxLayoverMs:
+        Math.min(
+          Number(query.maxLayover) || MAX_LAYOVER_MINUTES,
+          MAX_LAYOVER_MINUTES
+        ) *
+        60 *
+        1000,
+    });
+
+    // ?from=&to=&date=YYYY-MM-DD&quantity=&maxLegs=&sort=price|duration
+    // &minLayover=&maxLayover= (minutes)
+    app.get("/journeys", async (req, res) => {
+      try {
+        const { from, to, date } = req.query;
+        if (!from || !to || !date) {
+          return res
+            .status(400)
+            .send({ message: "from, to and date are required" });
+        }
+
+        const day = dayRange(date);
+        if (!day) return res.status(400).send({ message: "Invalid date" });
+
+        const quantity = Math.max(parseInt(req.query.quantity) || 1, 1);
+        const maxLegs = Math.min(
+          Math.max(parseInt(req.query.maxLegs) || JOURNEY_MAX_LEGS, 1),
+          JOURNEY_MAX_LEGS
+        );
+        const limits = layoverLimits(req.query);
+
+        const after = new Date(Math.max(day.start, Date.now()));
+        // later legs may leave well after the travel day
+        const lastDeparture = new Date(
+          day.end.getTime() + (maxLegs - 1) * (limits.maxLayoverMs + DAY_MS)
+        );
+
+        const tickets = await ticketsCollection
+          .find({
+            hidden: { $ne: true },
+            cancelled: { $ne: true },
+            verificationStatus: "approved",
+            departure: { $gte: after, $lt: lastDeparture },
+            quantity: { $gte: quantity },
+          })
+          .project({
+            title: 1,
+            from: 1,
+            to: 1,
+            transport: 1,
+            departure: 1,
+            arrival: 1,
+            price: 1,
+            pricingRules: 1,
+            quantity: 1,
+            capacity: 1,
+            currency: 1,
+            vendorEmail: 1,
+            image: 1,
+          })
+          .toArray();
+
+        const itineraries = findItineraries(tickets, {
+          from,
+          to,
+          after,
+          before: day.end,
+          maxLegs,
+          ...limits,
+          priceOf: (ticket) => quotePrice(ticket).price,
+        });
+
+        const byDuration = (a, b) =>
+          (a.durationMinutes ?? Infinity) - (b.durationMinutes ?? Infinity);
+        const byPrice = (a, b) => a.unitPrice - b.unitPrice;
+
+        itineraries.sort((a, b) =>
+          req.query.sort === "duration"
+            ? byDuration(a, b) || byPrice(a, b)
+            : byPrice(a, b) || byDuration(a, b)
+        );
+
+        res.send(
+          itineraries.slice(0, MAX_JOURNEYS).map((journey) => ({
+            ...journey,
+            legs: journey.legs.map(({ pricingRules, capacity, ...leg }) => leg),
+            totalPrice: roundMoney(journey.unitPrice * quantity),
+          }))
+        );
+      } catch (err) {
+        console.error("GET /journeys error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Books every leg of an itinerary or none of them
+    app.post("/journeys/book", verifyJWT, async (req, res) => {
+      try {
+        const { legs, customerEmail } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (customerEmail !== req.decoded.email) {
+          return res.status(403).send({ message: "Forbidden" });
+        }
+
+        if (
+          !Array.isArray(legs) ||
+          legs.length < 1 ||
+          legs.length > JOURNEY_MAX_LEGS
+        ) {
+          return res.status(400).send({
+            message: `legs must list 1-${JOURNEY_MAX_LEGS} ticket ids`,
+          });
+        }
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          return res.status(400).send({ message: "Invalid quantity" });
+        }
+
+        const ticketIds = legs.map(toObjectId);
+        if (ticketIds.includes(null)) {
+          return res.status(400).send({ message: "Invalid ticket id" });
+        }
+
+        const found = await ticketsCollection
+          .find({ _id: { $in: ticketIds } })
+          .toArray();
+        const tickets = ticketIds.map((id) =>
+          found.find((t) => t._id.equals(id))
+        );
+
+        for (const ticket of tickets) {
+          if (!ticket || ticket.hidden === true) {
+            return res.status(404).send({ message: "Ticket not found" });
+          }
+          if (ticket.verificationStatus !== "approved") {
+            return res
+              .status(400)
+              .send({ message: `${ticket.title}: ticket not approved` });
+          }
+          if (ticket.cancelled) {
+            return res
+              .status(400)
+              .send({ message: `${ticket.title}: trip was cancelled` });
+          }
+          if (ticket.departure <= new Date()) {
+            return res
+              .status(400)
+              .send({ message: `${ticket.title}: departure time passed` });
+          }
+        }
+
+        const limits = layoverLimits();
+        for (let i = 1; i < tickets.length; i++) {
+          const problem = connectionError(tickets[i - 1], tickets[i], limits);
+          if (problem) return res.status(400).send({ message: problem });
+        }
+
+        // the same people travel every leg
+        const passengersPerLeg = [];
+        for (const ticket of tickets) {
+          const { passengers, error } = readPassengers(
+            req.body.passengers,
+            ticket,
+            quantity
+          );
+          if (error) {
+            return res
+              .status(400)
+              .send({ message: `${ticket.title}: ${error}` });
+          }
+          passengersPerLeg.push(passengers);
+        }
+
+        const orderId = new ObjectId();
+        const bookings = [];
+
+        for (const [leg, ticket] of tickets.entries()) {
+          const { booking, error } = await reserveBooking({
+            ticket,
+            quantity,
+            customerEmail,
+            passengers: passengersPerLeg[leg],
+            extra: { orderId, leg },
+          });
+
+          if (error) {
+            // give back what the earlier legs already took
+            for (const taken of bookings) {
+              await bookingsCollection.updateOne(
+                { _id: taken._id },
+                { $set: { status: "cancelled", cancelledAt: new Date() } }
+              );
+              await releaseSeats(taken);
+            }
+            return res
+              .status(error.status)
+              .send({ message: `${ticket.title}: ${error.message}` });
+          }
+
+          bookings.push(booking);
+        }
+
+        await ordersCollection.insertOne({
+          _id: orderId,
+          kind: "journey",
+          customerEmail,
+          bookingIds: bookings.map((b) => b._id),
+          currency: currencyOf(tickets[0]),
+          totalAmount: roundMoney(
+            bookings.reduce((sum, b) => sum + b.price * b.quantity, 0)
+          ),
+          status: "pending",
+          createdAt: new Date(),
+        });
+
+        res.send({
+          success: true,
+          orderId,
+          bookingIds: bookings.map((b) => b._id),
+        });
+      } catch (err) {
+        console.error("POST /journeys/book error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    /* ===============================
+                  REVIEWS
+       ================================ */
+    // Customers review a trip once it has departed, one review per paid
+    // booking. Departures come and go, so reputation is the vendor's: the
+    // average over its visible reviews is kept on the vendor document as
+    // ratingAverage / ratingCount and copied onto every ticket as
+    // vendorRatingAverage / vendorRatingCount, so ticket search can filter
+    // and sort on it. Tickets from before reviews get theirs from
+    // migrate-ratings.js.
+    const REVIEW_MAX_TEXT = 2000;
+
+    const vendorRating = async (vendorEmail) => {
+      const vendor = await vendorsCollection.findOne(
+        { userEmail: vendorEmail },
+        { projection: { ratingAverage: 1, ratingCount: 1 } }
+      );
+      return {
+        ratingAverage: vendor?.ratingAverage ?? 0,
+        ratingCount: vendor?.ratingCount ?? 0,
+      };
+    };
+
+    // the vendor's rating as tickets carry it
+    const ticketRatingFields = async (vendorEmail) => {
+      const { ratingAverage, ratingCount } = await vendorRating(vendorEmail);
+      return {
+        vendorRatingAverage: ratingAverage,
+        vendorRatingCount: ratingCount,
+      };
+    };
+
+    const refreshVendorRating = async (vendorEmail) => {
+      const [stats] = await reviewsCollection
+        .aggregate([
+          { $match: { vendorEmail, status: "visible" } },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$rating" },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+      const rating = {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats?.count || 0,
+      };
+
+      await vendorsCollection.updateOne(
+        { userEmail: vendorEmail },
+        { $set: rating }
+      );
+      await ticketsCollection.updateMany(
+        { vendorEmail },
+        {
+          $set: {
+            vendorRatingAverage: rating.ratingAverage,
+            vendorRatingCount: rating.ratingCount,
+          },
+        }
+      );
+      return rating;
+    };
+
+    // One-off for tickets created before reviews existed
+    const backfillTicketRatings = async () => {
+      const missing = { vendorRatingAverage: { $exists: false } };
+      const vendorEmails = await ticketsCollection.distinct(
+        "vendorEmail",
+        missing
+      );
+
+      let updated = 0;
+      for (const vendorEmail of vendorEmails) {
+        const result = await ticketsCollection.updateMany(
+          { ...missing, vendorEmail },
+          { $set: await ticketRatingFields(vendorEmail) }
+        );
+        updated += result.modifiedCount;
+      }
+      return { vendors: vendorEmails.length, updated };
+    };
+
+    // used by migrate-ratings.js
+    app.locals.backfillTicketRatings = backfillTicketRatings;
+
+    // Public: who the vendor is and how customers rate them
+    app.get("/vendors/:email/profile", async (req, res) => {
+      try {
+        const email = req.params.email;
+        const vendor = await vendorsCollection.findOne({ userEmail: email });
+        if (!vendor)
+          return res.status(404).send({ message: "Vendor not found" });
+
+        const user = await usersCollection.findOne({ email });
+        const tickets = await ticketsCollection.countDocuments({
+          vendorEmail: email,
+          verificationStatus: "approved",
+          hidden: { $ne: true },
+          cancelled: { $ne: true },
+          departure: { $gt: new Date() },
+        });
+
+        res.send({
+          userEmail: email,
+          name: user?.name || "",
+          photo: user?.photo || "",
+          verified: vendor.verified === true,
+          memberSince: vendor.createdAt || null,
+          upcomingTrips: tickets,
+          ...(await vendorRating(email)),
+        });
+      } catch (err) {
+        console.error("GET /vendors/:email/profile error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // what everyone may see of a review
+    const publicReview = (review) => ({
+      _id: review._id,
+      ticketId: review.ticketId,
+      title: review.title,
+      customerName: review.customerName,
+      rating: review.rating,
+      text: review.text,
+      reply: review.reply,
+      createdAt: review.createdAt,
+    });
+
+    // Returns { review } with rating and text, or { error }
+    const parseReview = (body) => {
+      const rating = Number(body?.rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return { error: "rating must be a whole number 1-5" };
+      }
+      const text = String(body.text || "").trim();
+      if (!text || text.length > REVIEW_MAX_TEXT) {
+        return { error: `text is required (max ${REVIEW_MAX_TEXT} chars)` };
+      }
+      return { review: { rating, text } };
+    };
+
+    app.post("/bookings/:id/review", verifyJWT, async (req, res) => {
+      try {
+        const oid = toObjectId(req.params.id);
+        if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+        const booking = await bookingsCollection.findOne({ _id: oid });
+        if (!booking || booking.customerEmail !== req.decoded.email)
+          return res.status(404).send({ message: "Booking not found" });
+        if (booking.status !== "paid") {
+          return res
+            .status(400)
+            .send({ message: "Only paid bookings can be reviewed" });
+        }
+
+        const ticket = await ticketsCollection.findOne({
+          _id: booking.ticketId,
+        });
+        if (!ticket || ticket.cancelled) {
+          return res
+            .status(400)
+            .send({ message: "This trip can't be reviewed" });
+        }
+        if (ticket.departure > new Date()) {
+          return res
+            .status(400)
+            .send({ message: "Trips can be reviewed after departure" });
+        }
+
+        const { review, error } = parseReview(req.body);
+        if (error) return res.status(400).send({ message: error });
+
+        const user = await usersCollection.findOne({
+          email: req.decoded.email,
+        });
+        const doc = {
+          ...review,
+          bookingId: oid,
+          ticketId: ticket._id,
+          title: ticket.title,
+          vendorEmail: ticket.vendorEmail,
+          customerEmail: booking.customerEmail,
+          customerName: user?.name || "Traveller",
+          status: "visible",
+          reply: null,
+          createdAt: new Date(),
+        };
+        try {
+          await reviewsCollection.insertOne(doc);
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+          return res
+            .status(409)
+            .send({ message: "This booking was already reviewed" });
+        }
+
+        const rating = await refreshVendorRating(ticket.vendorEmail);
+        await notify(ticket.vendorEmail, {
+          type: "new_review",
+          title: `New ${review.rating}-star review`,
+          message: `${doc.customerName} reviewed ${ticket.title}`,
+          data: { reviewId: doc._id, ticketId: ticket._id },
+        });
+
+        res.send({ success: true, reviewId: doc._id, ...rating });
+      } catch (err) {
+        console.error("POST /bookings/:id/review error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Public: a vendor's rating, star breakdown and latest visible reviews
+    app.get("/vendors/:email/reviews", async (req, res) => {
+      try {
+        const vendorEmail = req.params.email;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+        const filter = { vendorEmail, status: "visible" };
+
+        const ticketOid = req.query.ticketId && toObjectId(req.query.ticketId);
+        if (req.query.ticketId && !ticketOid)
+          return res.status(400).send({ message: "Invalid ticketId" });
+        if (ticketOid) filter.ticketId = ticketOid;
+
+        const [reviews, stars, rating] = await Promise.all([
+          reviewsCollection
+            .find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray(),
+          reviewsCollection
+            .aggregate([
+              { $match: { vendorEmail, status: "visible" } },
+              { $group: { _id: "$rating", count: { $sum: 1 } } },
+            ])
+            .toArray(),
+          vendorRating(vendorEmail),
+        ]);
+
+        const breakdown = Object.fromEntries(
+          [5, 4, 3, 2, 1].map((star) => [
+            star,
+            stars.find((s) => s._id === star)?.count || 0,
+          ])
+        );
+
+        res.send({
+          ...rating,
+          breakdown,
+          reviews: reviews.map(publicReview),
+        });
+      } catch (err) {
+        console.error("GET /vendors/:email/reviews error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Vendor answers a review of its trips; an empty reply removes it
+    app.patch(
+      "/reviews/:id/reply",
+      verifyJWT,
+      verifyVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const review = await reviewsCollection.findOne({ _id: oid });
+          if (!review || review.vendorEmail !== req.decoded.email)
+            return res.status(404).send({ message: "Review not found" });
+
+          const text = String(req.body?.reply || "").trim();
+          if (text.length > REVIEW_MAX_TEXT) {
+            return res.status(400).send({
+              message: `reply is too long (max ${REVIEW_MAX_TEXT} chars)`,
+            });
+          }
+
+          const reply = text ? { text, repliedAt: new Date() } : null;
+          await reviewsCollection.updateOne({ _id: oid }, { $set: { reply } });
+
+          if (reply && !review.reply) {
+            await notify(review.customerEmail, {
+              type: "review_reply",
+              title: "The operator replied to your review",
+              message: `Reply to your review of ${review.title}`,
+              data: { reviewId: oid, ticketId: review.ticketId },
+            });
+          }
+
+          res.send({ success: true, reply });
+        } catch (err) {
+          console.error("PATCH /reviews/:id/reply error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    // Vendor's own reviews, hidden ones included
+    app.get("/vendor/reviews", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const filter = { vendorEmail: req.decoded.email };
+        if (req.query.unanswered === "true") filter.reply = null;
+
+        const reviews = await reviewsCollection
+          .find(filter, { projection: { customerEmail: 0 } })
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(reviews);
+      } catch (err) {
+        console.error("GET /vendor/reviews error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/admin/reviews", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const filter = {};
+        if (["visible", "hidden"].includes(req.query.status))
+          filter.status = req.query.status;
+        if (req.query.vendorEmail) filter.vendorEmail = req.query.vendorEmail;
+        if (req.query.maxRating)
+          filter.rating = { $lte: Number(req.query.maxRating) };
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const reviews = await reviewsCollection
+          .find(filter)
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .toArray();
+        res.send(reviews);
+      } catch (err) {
+        console.error("GET /admin/reviews error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    // Moderation: { hidden: true, reason } takes a review out of the public
+    // lists and the rating, { hidden: false } brings it back
+    app.patch(
+      "/admin/reviews/:id",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+          if (typeof req.body?.hidden !== "boolean") {
+            return res
+              .status(400)
+              .send({ message: "hidden must be true or false" });
+          }
+
+          const update = req.body.hidden
+            ? {
+                status: "hidden",
+                hiddenReason: String(req.body.reason || "").trim() || null,
+                moderatedBy: req.decoded.email,
+                moderatedAt: new Date(),
+              }
+            : {
+                status: "visible",
+                hiddenReason: null,
+                moderatedBy: req.decoded.email,
+                moderatedAt: new Date(),
+              };
+
+          const review = await reviewsCollection.findOneAndUpdate(
+            { _id: oid },
+            { $set: update }
+          );
+          if (!review)
+            return res.status(404).send({ message: "Review not found" });
+
+          const rating =
+            review.status !== update.status
+              ? await refreshVendorRating(review.vendorEmail)
+              : await vendorRating(review.vendorEmail);
+
+          res.send({ success: true, status: update.status, ...rating });
+        } catch (err) {
+          console.error("PATCH /admin/reviews/:id error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+                  COUPONS
+       ================================ */
+
+    // Validates and normalizes coupon fields from a request body.
+    // With `partial` only the fields present are checked (for PATCH).
+    const parseCoupon = (body, partial = false) => {
+      const coupon = {};
+      const has = (key) => body[key] !== undefined;
+
+      if (!partial || has("code")) {
+        const code = String(body.code || "")
+          .trim()
+          .toUpperCase();
+        if (!code) return { error: "code required" };
+        coupon.code = code;
+      }
+
+      if (!partial || has("discountType")) {
+        if (!["percent", "fixed"].includes(body.discountType)) {
+          return { error: "discountType must be percent or fixed" };
+        }
+        coupon.discountType = body.discountType;
+      }
+
+      if (!partial || has("value")) {
+        const value = Number(body.value);
+        if (!value || value <= 0) return { error: "value must be positive" };
+        coupon.value = value;
+      }
+
+      if (coupon.discountType === "percent" && coupon.value > 100) {
+        return { error: "percent discount cannot exceed 100" };
+      }
+
+      for (const key of ["from", "to", "transport"]) {
+        if (has(key)) coupon[key] = body[key] ? String(body[key]).trim() : null;
+      }
+
+      for (const key of ["maxUses", "perUserLimit"]) {
+        if (has(key)) {
+          const n = body[key] === null ? null : Number(body[key]);
+          if (n !== null && (!Number.isInteger(n) || n <= 0)) {
+            return { error: `${key} must be a positive integer` };
+          }
+          coupon[key] = n;
+        }
+      }
+
+      for (const key of ["validFrom", "validUntil"]) {
+        if (has(key)) {
+          const date = body[key] ? new Date(body[key]) : null;
+          if (date && isNaN(date)) return { error: `Invalid ${key}` };
+          coupon[key] = date;
+        }
+      }
+
+      // fixed discounts are in the currency of the tickets they apply to
+      if (has("currency")) {
+        const currency = normalizeCurrency(body.currency);
+        if (!currency) return { error: "Invalid currency" };
+        coupon.currency = currency;
+      }
+
+      if (has("active")) coupon.active = body.active !== false;
+
+      return { coupon };
+    };
+
+    // Vendors only see and manage coupons for their own tickets
+    const canManageCoupon = (user, coupon) =>
+      user.role === "admin" || coupon.vendorEmail === user.email;
+
+    app.post("/coupons", verifyJWT, verifyAdminOrVendor, async (req, res) => {
+      try {
+        const { coupon, error } = parseCoupon(req.body || {});
+        if (error) return res.status(400).send({ message: error });
+
+        if (coupon.discountType === "fixed" && !coupon.currency) {
+          coupon.currency = BASE_CURRENCY;
+        }
+
+        if (req.user.role === "vendor") {
+          coupon.vendorEmail = req.user.email;
+        } else if (req.body.vendorEmail) {
+          coupon.vendorEmail = req.body.vendorEmail;
+        }
+
+        const exists = await couponsCollection.findOne({ code: coupon.code });
+        if (exists) {
+          return res
+            .status(409)
+            .send({ message: "Coupon code already exists" });
+        }
+
+        const result = await couponsCollection.insertOne({
+          ...coupon,
+          active: coupon.active !== false,
+          usedCount: 0,
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        });
+
+        res.send({ success: true, couponId: result.insertedId });
+      } catch (err) {
+        console.error("POST /coupons error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/coupons", verifyJWT, verifyAdminOrVendor, async (req, res) => {
+      try {
+        const q = {};
+        if (req.user.role === "vendor") q.vendorEmail = req.user.email;
+        else if (req.query.vendorEmail) q.vendorEmail = req.query.vendorEmail;
+        if (req.query.active !== undefined)
+          q.active = req.query.active === "true";
+
+        const coupons = await couponsCollection
+          .find(q)
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(coupons);
+      } catch (err) {
+        console.error("GET /coupons error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get(
+      "/coupons/:id",
+      verifyJWT,
+      verifyAdminOrVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const coupon = await couponsCollection.findOne({ _id: oid });
+          if (!coupon || !canManageCoupon(req.user, coupon))
+            return res.status(404).send({ message: "Coupon not found" });
+
+          res.send(coupon);
+        } catch (err) {
+          console.error("GET /coupons/:id error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch(
+      "/coupons/:id",
+      verifyJWT,
+      verifyAdminOrVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const existing = await couponsCollection.findOne({ _id: oid });
+          if (!existing || !canManageCoupon(req.user, existing))
+            return res.status(404).send({ message: "Coupon not found" });
+
+          const { coupon, error } = parseCoupon(
+            { discountType: existing.discountType, ...req.body },
+            true
+          );
+          if (error) return res.status(400).send({ message: error });
+
+          // the code is what customers and payments refer to
+          delete coupon.code;
+
+          if (req.user.role === "admin" && req.body.vendorEmail !== undefined) {
+            coupon.vendorEmail = req.body.vendorEmail || null;
+          }
+
+          const result = await couponsCollection.updateOne(
+            { _id: oid },
+            { $set: { ...coupon, updatedAt: new Date() } }
+          );
+
+          res.send({ success: true, modifiedCount: result.modifiedCount });
+        } catch (err) {
+          console.error("PATCH /coupons/:id error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.delete(
+      "/coupons/:id",
+      verifyJWT,
+      verifyAdminOrVendor,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const coupon = await couponsCollection.findOne({ _id: oid });
+          if (!coupon || !canManageCoupon(req.user, coupon))
+            return res.status(404).send({ message: "Coupon not found" });
+
+          const result = await couponsCollection.deleteOne({ _id: oid });
+          res.send(result);
+        } catch (err) {
+          console.error("DELETE /coupons/:id error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+        ADMIN PROFILE 
+    ================================ */
+    app.get("/admin/profile", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const email = req.decoded.email;
+
+        const adminUser = await usersCollection.findOne({ email });
+
+        if (!adminUser) {
+          return res.status(404).send({ message: "Admin not found" });
+        }
+
+        res.send({
+          name: adminUser.name,
+          email: adminUser.email,
+          role: adminUser.role,
+          photoURL: adminUser.photo || "",
+          phone: adminUser.phone || "",
+          createdAt: adminUser.createdAt || null,
+        });
+      } catch (error) {
+        console.error("Admin profile error:", error);
+        res.status(500).send({ message: "Failed to load admin profile" });
+      }
+    });
+
+    app.get("/admin/stats", verifyJWT, verifyAdmin, async (req, res) => {
+      const usersCount = await usersCollection.countDocuments();
+      const vendorsCount = await vendorsCollection.countDocuments();
+      const ticketsCount = await ticketsCollection.countDocuments();
+      const bookingsCount = await bookingsCollection.countDocuments();
+      res.send({ usersCount, vendorsCount, ticketsCount, bookingsCount });
+    });
+
+    app.get(
+      "/admin/vendors/pending",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const pending = await vendorsCollection
+            .find({ verified: false })
+            .toArray();
+          res.send(pending);
+        } catch (err) {
+          console.error("GET /admin/vendors/pending error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/vendors/:email/verify",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const email = req.params.email;
+          const verify = req.body.verify === true;
+          const result = await vendorsCollection.updateOne(
+            { userEmail: email },
+            { $set: { verified: verify } }
+          );
+          res.send({ success: true, result });
+        } catch (err) {
+          console.error("PATCH /admin/vendors/:email/verify error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+       ADMIN REVENUE
+    ================================ */
+    // Admin reports add up payments in the base currency, at the rate that
+    // was stored when each payment came in (paymentRate). Payments that
+    // can't be converted come out null, $sum skips them and the reports
+    // list them apart per currency.
+    const rateExpr = {
+      $ifNull: [
+        "$exchangeRate",
+        { $cond: [{ $eq: [ledgerCurrency, BASE_CURRENCY] }, 1, null] },
+      ],
+    };
+    const inBaseCurrency = (expr) => ({ $multiply: [expr, rateExpr] });
+
+    // [{ currency, payments, collected, refunded }] of payments without a
+    // usable rate, in their own currency
+    const summarizeUnconverted = (payments) => {
+      const byCurrency = {};
+      for (const p of payments) {
+        if (paymentRate(p) !== null) continue;
+        const row = (byCurrency[currencyOf(p)] ??= {
+          currency: currencyOf(p),
+          payments: 0,
+          collected: 0,
+          refunded: 0,
+        });
+        row.payments++;
+        row.collected = roundMoney(row.collected + (p.amount || 0));
+        row.refunded = roundMoney(row.refunded + (p.refundedAmount || 0));
+      }
+      return Object.values(byCurrency);
+    };
+
+    app.get(
+      "/admin/revenue-overview",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        const totals = {
+          grossRevenue: {
+            $sum: inBaseCurrency({
+              $ifNull: ["$originalAmount", "$amount"],
+            }),
+          },
+          totalDiscounts: {
+            $sum: inBaseCurrency({ $ifNull: ["$discountAmount", 0] }),
+          },
+          collected: { $sum: inBaseCurrency("$amount") },
+          totalRefunded: {
+            $sum: inBaseCurrency({ $ifNull: ["$refundedAmount", 0] }),
+          },
+          ticketsSold: {
+            $sum: {
+              $subtract: ["$quantity", { $ifNull: ["$refundedQuantity", 0] }],
             },
+          },
+        };
 
-            {
-              $project: {
-                _id: 1,
-                customerEmail: 1,
-                quantity: 1,
-                status: 1,
-                createdAt: 1,
+        const revenueStats = await paymentsCollection
+          .aggregate([{ $group: { _id: null, ...totals } }])
+          .toArray();
 
-                ticketTitle: "$ticket.title",
-                unitPrice: "$ticket.price",
+        // same totals per fare class code, across all tickets using it
+        const fareClassStats = await paymentsCollection
+          .aggregate([
+            { $match: { fareClass: { $type: "string" } } },
+            { $group: { _id: "$fareClass", ...totals } },
+            { $sort: { _id: 1 } },
+          ])
+          .toArray();
+
+        const unconverted = summarizeUnconverted(
+          await paymentsCollection
+            .find(
+              { $expr: { $eq: [rateExpr, null] } },
+              {
+                projection: {
+                  amount: 1,
+                  refundedAmount: 1,
+                  currency: 1,
+                  exchangeRate: 1,
+                },
+              }
+            )
+            .toArray()
+        );
+
+        const ticketsAdded = await ticketsCollection.countDocuments();
+        const totalRefunded = roundMoney(revenueStats[0]?.totalRefunded || 0);
+        const netRevenue = roundMoney(
+          (revenueStats[0]?.collected || 0) - totalRefunded
+        );
+
+        res.send({
+          currency: BASE_CURRENCY,
+          totalRevenue: netRevenue,
+          grossRevenue: roundMoney(revenueStats[0]?.grossRevenue || 0),
+          totalDiscounts: roundMoney(revenueStats[0]?.totalDiscounts || 0),
+          totalRefunded,
+          netRevenue,
+          ticketsSold: revenueStats[0]?.ticketsSold || 0,
+          ticketsAdded,
+          byFareClass: fareClassStats.map((stats) => ({
+            fareClass: stats._id,
+            grossRevenue: roundMoney(stats.grossRevenue),
+            totalRefunded: roundMoney(stats.totalRefunded),
+            netRevenue: roundMoney(stats.collected - stats.totalRefunded),
+            ticketsSold: stats.ticketsSold,
+          })),
+          unconverted,
+        });
+      }
+    );
+
+    /* ===============================
+             VENDOR REVENUE
+       ================================ */
+    app.get(
+      "/vendor/revenue-overview",
+      verifyJWT,
+      verifyVendor,
+      async (req, res) => {
+        try {
+          const email = req.decoded.email;
+          const tickets = await ticketsCollection
+            .find({
+              vendorEmail: email,
+              verificationStatus: "approved",
+              hidden: { $ne: true },
+            })
+            .toArray();
+
+          const ticketsAdded = tickets.length;
+
+          const payments = await paymentsCollection
+            .aggregate([
+              {
+                $lookup: {
+                  from: "tickets",
+                  localField: "ticketId",
+                  foreignField: "_id",
+                  as: "ticket",
+                },
+              },
+              { $unwind: "$ticket" },
+              {
+                $match: {
+                  "ticket.vendorEmail": email,
+                },
+              },
+            ])
+            .toArray();
+
+          // amounts in the base currency, at each payment's stored rate.
+          // Payments without a usable one count as 0 here and are listed
+          // under `unconverted` instead.
+          const base = (p, amount) => (amount || 0) * (paymentRate(p) ?? 0);
+
+          const ticketsSold = payments.reduce(
+            (sum, p) => sum + (p.quantity || 0) - (p.refundedQuantity || 0),
+            0
+          );
+
+          const totalRefunded = roundMoney(
+            payments.reduce((sum, p) => sum + base(p, p.refundedAmount), 0)
+          );
+
+          const grossRevenue = roundMoney(
+            payments.reduce(
+              (sum, p) => sum + base(p, p.originalAmount ?? p.amount),
+              0
+            )
+          );
+
+          const totalDiscounts = roundMoney(
+            payments.reduce((sum, p) => sum + base(p, p.discountAmount), 0)
+          );
+
+          const netRevenue = roundMoney(
+            payments.reduce((sum, p) => sum + base(p, p.amount), 0) -
+              totalRefunded
+          );
+
+          const byFareClass = {};
+          for (const p of payments) {
+            if (!p.fareClass) continue;
+            const stats = (byFareClass[p.fareClass] ??= {
+              fareClass: p.fareClass,
+              grossRevenue: 0,
+              totalRefunded: 0,
+              netRevenue: 0,
+              ticketsSold: 0,
+            });
+            stats.grossRevenue += base(p, p.originalAmount ?? p.amount);
+            stats.totalRefunded += base(p, p.refundedAmount);
+            stats.netRevenue += base(
+              p,
+              (p.amount || 0) - (p.refundedAmount || 0)
+            );
+            stats.ticketsSold += (p.quantity || 0) - (p.refundedQuantity || 0);
+          }
+
+          // the fee on what was not refunded, like the ledger keeps it
+          const platformFees = roundMoney(
+            payments.reduce(
+              (sum, p) =>
+                sum +
+                base(
+                  p,
+                  (((p.amount || 0) - (p.refundedAmount || 0)) *
+                    (p.feePercent || 0)) /
+                    100
+                ),
+              0
+            )
+          );
+          const balances = await getVendorBalances(email);
+
+          res.send({
+            currency: BASE_CURRENCY,
+            totalRevenue: netRevenue,
+            grossRevenue,
+            totalDiscounts,
+            totalRefunded,
+            netRevenue,
+            platformFees,
+            vendorEarnings: roundMoney(netRevenue - platformFees),
+            // balances stay in the currencies they were earned in
+            balance: balances[BASE_CURRENCY] || 0,
+            balances,
+            unconverted: summarizeUnconverted(payments),
+            ticketsSold,
+            ticketsAdded,
+            byFareClass: Object.values(byFareClass).map((stats) => ({
+              ...stats,
+              grossRevenue: roundMoney(stats.grossRevenue),
+              totalRefunded: roundMoney(stats.totalRefunded),
+              netRevenue: roundMoney(stats.netRevenue),
+            })),
+          });
+        } catch (err) {
+          console.error("Vendor revenue error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    /* ===============================
+                 PAYOUTS
+       ================================ */
+    app.get("/vendor/balance", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const email = req.decoded.email;
+        const totals = await ledgerCollection
+          .aggregate([
+            { $match: { vendorEmail: email } },
+            {
+              $group: {
+                _id: { currency: ledgerCurrency, type: "$type" },
+                total: { $sum: "$amount" },
               },
             },
           ])
           .toArray();
 
-        res.send(bookings);
+        const byCurrency = {};
+        for (const { _id, total } of totals) {
+          byCurrency[_id.currency] ??= {};
+          byCurrency[_id.currency][_id.type] = roundMoney(total);
+        }
+        const summary = (byType = {}) => ({
+          balance: roundMoney(
+            (byType.sale_credit || 0) +
+              (byType.refund_debit || 0) +
+              (byType.payout_debit || 0) +
+              (byType.payout_reversal || 0)
+          ),
+          earned: byType.sale_credit || 0,
+          refunded: -(byType.refund_debit || 0),
+          paidOut: -(
+            (byType.payout_debit || 0) + (byType.payout_reversal || 0)
+          ),
+          platformFees: roundMoney(
+            (byType.platform_fee || 0) + (byType.platform_fee_reversal || 0)
+          ),
+        });
+
+        // top-level figures are the base currency, like before
+        res.send({
+          currency: BASE_CURRENCY,
+          ...summary(byCurrency[BASE_CURRENCY]),
+          currencies: Object.entries(byCurrency).map(([currency, byType]) => ({
+            currency,
+            ...summary(byType),
+          })),
+          feePercent: await getFeePercent(email),
+        });
+      } catch (err) {
+        console.error("GET /vendor/balance error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/vendor/ledger", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const entries = await ledgerCollection
+          .find({ account: "vendor", vendorEmail: req.decoded.email })
+          .sort({ createdAt: -1 })
+          .limit(parseInt(req.query.limit) || 100)
+          .toArray();
+        res.send(entries);
+      } catch (err) {
+        console.error("GET /vendor/ledger error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
+    });
+
+    app.get("/vendor/payouts", verifyJWT, verifyVendor, async (req, res) => {
+      try {
+        const payouts = await payoutsCollection
+          .find({ vendorEmail: req.decoded.email })
+          .sort({ requestedAt: -1 })
+          .toArray();
+        res.send(payouts);
       } catch (err) {
-        console.error("GET /bookings/vendor error:", err);
+        console.error("GET /vendor/payouts error:", err);
         res.status(500).send({ message: "Server error" });
       }
     });
 
-    /* ===============================
-        ADMIN PROFILE 
-    ================================ */
-    app.get("/admin/profile", verifyJWT, verifyAdmin, async (req, res) => {
+    app.post("/vendor/payouts", verifyJWT, verifyVendor, async (req, res) => {
       try {
         const email = req.decoded.email;
+        const amount = roundMoney(Number(req.body?.amount));
 
-        const adminUser = await usersCollection.findOne({ email });
+        if (!amount || amount <= 0) {
+          return res.status(400).send({ message: "Invalid amount" });
+        }
 
-        if (!adminUser) {
-          return res.status(404).send({ message: "Admin not found" });
+        // each currency's balance is paid out on its own
+        const currency =
+          req.body.currency === undefined
+            ? BASE_CURRENCY
+            : normalizeCurrency(req.body.currency);
+        if (!currency) {
+          return res.status(400).send({ message: "Invalid currency" });
         }
 
-        res.send({
-          name: adminUser.name,
-          email: adminUser.email,
-          role: adminUser.role,
-          photoURL: adminUser.photo || "",
-          phone: adminUser.phone || "",
-          createdAt: adminUser.createdAt || null,
+        const payout = {
+          _id: new ObjectId(),
+          vendorEmail: email,
+          amount,
+          currency,
+          status: "requested",
+          requestedAt: new Date(),
+        };
+
+        // reserve the money first and check after: of two requests at once
+        // at most one can leave the balance covered
+        await ledgerCollection.insertOne({
+          account: "vendor",
+          type: "payout_debit",
+          vendorEmail: email,
+          payoutId: payout._id,
+          amount: -amount,
+          currency,
+          createdAt: payout.requestedAt,
         });
-      } catch (error) {
-        console.error("Admin profile error:", error);
-        res.status(500).send({ message: "Failed to load admin profile" });
+        if ((await getVendorBalance(email, currency)) < 0) {
+          await ledgerCollection.deleteOne({
+            payoutId: payout._id,
+            type: "payout_debit",
+          });
+          return res
+            .status(400)
+            .send({ message: "Amount exceeds available balance" });
+        }
+
+        await payoutsCollection.insertOne(payout);
+
+        res.send({ success: true, payoutId: payout._id });
+      } catch (err) {
+        console.error("POST /vendor/payouts error:", err);
+        res.status(500).send({ message: "Server error" });
       }
     });
 
-    app.get("/admin/stats", verifyJWT, verifyAdmin, async (req, res) => {
-      const usersCount = await usersCollection.countDocuments();
-      const vendorsCount = await vendorsCollection.countDocuments();
-      const ticketsCount = await ticketsCollection.countDocuments();
-      const bookingsCount = await bookingsCollection.countDocuments();
-      res.send({ usersCount, vendorsCount, ticketsCount, bookingsCount });
+    app.get("/admin/payouts", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const q = {};
+        if (req.query.status) q.status = req.query.status;
+        if (req.query.vendorEmail) q.vendorEmail = req.query.vendorEmail;
+
+        const payouts = await payoutsCollection
+          .find(q)
+          .sort({ requestedAt: -1 })
+          .toArray();
+        res.send(payouts);
+      } catch (err) {
+        console.error("GET /admin/payouts error:", err);
+        res.status(500).send({ message: "Server error" });
+      }
     });
 
-    app.get(
-      "/admin/vendors/pending",
+    app.patch(
+      "/admin/payouts/:id/approve",
       verifyJWT,
       verifyAdmin,
       async (req, res) => {
         try {
-          const pending = await vendorsCollection
-            .find({ verified: false })
-            .toArray();
-          res.send(pending);
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          // claim it, a second approve must not send the money again
+          const payout = await payoutsCollection.findOneAndUpdate(
+            { _id: oid, status: "requested" },
+            { $set: { status: "processing" } }
+          );
+          if (!payout) {
+            const exists = await payoutsCollection.findOne({ _id: oid });
+            return exists
+              ? res
+                  .status(400)
+                  .send({ message: "Only requested payouts can be approved" })
+              : res.status(404).send({ message: "Payout not found" });
+          }
+
+          const vendor = await vendorsCollection.findOne({
+            userEmail: payout.vendorEmail,
+          });
+
+          let sent;
+          try {
+            sent = await payoutProvider.sendPayout({
+              payoutId: payout._id.toString(),
+              vendorEmail: payout.vendorEmail,
+              destination: vendor?.stripeAccountId,
+              amount: payout.amount,
+              currency: payout.currency,
+            });
+          } catch (err) {
+            // the provider call is idempotent per payout, it can be retried
+            await payoutsCollection.updateOne(
+              { _id: oid, status: "processing" },
+              { $set: { status: "requested" } }
+            );
+            throw err;
+          }
+
+          const now = new Date();
+          await payoutsCollection.updateOne(
+            { _id: oid },
+            {
+              $set: {
+                status: sent.status === "paid" ? "settled" : "approved",
+                provider: payoutProvider.name,
+                providerReference: sent.reference,
+                approvedBy: req.decoded.email,
+                approvedAt: now,
+                ...(sent.status === "paid" && { settledAt: now }),
+              },
+            }
+          );
+
+          res.send({ success: true, status: sent.status });
         } catch (err) {
-          console.error("GET /admin/vendors/pending error:", err);
+          console.error("PATCH /admin/payouts/:id/approve error:", err);
+          res.status(500).send({ message: err.message });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/payouts/:id/settle",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const payout = await payoutsCollection.findOne({ _id: oid });
+          if (!payout)
+            return res.status(404).send({ message: "Payout not found" });
+
+          if (payout.status !== "approved") {
+            return res
+              .status(400)
+              .send({ message: "Only approved payouts can be settled" });
+          }
+
+          const status = await payoutProvider.getPayoutStatus(
+            payout.providerReference
+          );
+          if (status !== "paid") {
+            return res
+              .status(400)
+              .send({ message: `Payout is ${status} at the provider` });
+          }
+
+          await payoutsCollection.updateOne(
+            { _id: oid },
+            { $set: { status: "settled", settledAt: new Date() } }
+          );
+
+          res.send({ success: true });
+        } catch (err) {
+          console.error("PATCH /admin/payouts/:id/settle error:", err);
           res.status(500).send({ message: "Server error" });
         }
       }
     );
 
     app.patch(
-      "/admin/vendors/:email/verify",
+      "/admin/payouts/:id/reject",
       verifyJWT,
       verifyAdmin,
       async (req, res) => {
         try {
-          const email = req.params.email;
-          const verify = req.body.verify === true;
+          const oid = toObjectId(req.params.id);
+          if (!oid) return res.status(400).send({ message: "Invalid id" });
+
+          const result = await payoutsCollection.updateOne(
+            { _id: oid, status: "requested" },
+            {
+              $set: {
+                status: "rejected",
+                rejectedAt: new Date(),
+                reason: req.body?.reason || "",
+              },
+            }
+          );
+          if (!result.modifiedCount) {
+            return res
+              .status(400)
+              .send({ message: "Only requested payouts can be rejected" });
+          }
+
+          const payout = await payoutsCollection.findOne({ _id: oid });
+          await ledgerCollection.insertOne({
+            account: "vendor",
+            type: "payout_reversal",
+            vendorEmail: payout.vendorEmail,
+            payoutId: oid,
+            amount: payout.amount,
+            currency: payout.currency,
+            createdAt: new Date(),
+          });
+
+          res.send({ success: true });
+        } catch (err) {
+          console.error("PATCH /admin/payouts/:id/reject error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/vendors/:email/commission",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const { commissionPercent } = req.body;
+
+          // null goes back to the platform default
+          if (
+            commissionPercent !== null &&
+            (typeof commissionPercent !== "number" ||
+              commissionPercent < 0 ||
+              commissionPercent > 100)
+          ) {
+            return res
+              .status(400)
+              .send({ message: "commissionPercent must be 0-100 or null" });
+          }
+
           const result = await vendorsCollection.updateOne(
-            { userEmail: email },
-            { $set: { verified: verify } }
+            { userEmail: req.params.email },
+            commissionPercent === null
+              ? { $unset: { commissionPercent: "" } }
+              : { $set: { commissionPercent } }
           );
-          res.send({ success: true, result });
+          if (!result.matchedCount)
+            return res.status(404).send({ message: "Vendor not found" });
+
+          res.send({ success: true });
         } catch (err) {
-          console.error("PATCH /admin/vendors/:email/verify error:", err);
+          console.error("PATCH /admin/vendors/:email/commission error:", err);
           res.status(500).send({ message: "Server error" });
         }
       }
     );
 
     /* ===============================
-       ADMIN REVENUE
-    ================================ */
+           PAYMENT RECONCILIATION
+       ================================ */
     app.get(
-      "/admin/revenue-overview",
+      "/admin/reconciliation",
       verifyJWT,
       verifyAdmin,
       async (req, res) => {
-        const revenueStats = await paymentsCollection
-          .aggregate([
-            {
-              $group: {
-                _id: null,
-                totalRevenue: { $sum: "$amount" },
-                ticketsSold: { $sum: "$quantity" },
-              },
-            },
-          ])
-          .toArray();
-
-        const ticketsAdded = await ticketsCollection.countDocuments();
+        try {
+          const days = Number(req.query.days) || 7;
+          const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-        res.send({
-          totalRevenue: revenueStats[0]?.totalRevenue || 0,
-          ticketsSold: revenueStats[0]?.ticketsSold || 0,
-          ticketsAdded,
-        });
+          const result = await runReconciliation({
+            since,
+            fix: req.query.fix === "true",
+          });
+          res.send(result);
+        } catch (err) {
+          console.error("GET /admin/reconciliation error:", err);
+          res.status(500).send({ message: "Reconciliation failed" });
+        }
       }
     );
 
     /* ===============================
-             VENDOR REVENUE
+             EXCHANGE RATES
        ================================ */
     app.get(
-      "/vendor/revenue-overview",
+      "/admin/exchange-rates",
       verifyJWT,
-      verifyVendor,
+      verifyAdmin,
       async (req, res) => {
         try {
-          const email = req.decoded.email;
-          const tickets = await ticketsCollection
-            .find({
-              vendorEmail: email,
-              verificationStatus: "approved",
-              hidden: { $ne: true },
-            })
+          const rates = await exchangeRatesCollection
+            .find()
+            .sort({ _id: 1 })
             .toArray();
+          res.send({ baseCurrency: BASE_CURRENCY, rates });
+        } catch (err) {
+          console.error("GET /admin/exchange-rates error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
 
-          const ticketsAdded = tickets.length;
+    // rate = how many base-currency units one unit of :currency is worth
+    app.put(
+      "/admin/exchange-rates/:currency",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const currency = normalizeCurrency(req.params.currency);
+          if (!currency || currency === BASE_CURRENCY) {
+            return res.status(400).send({ message: "Invalid currency" });
+          }
 
-          const payments = await paymentsCollection
-            .aggregate([
-              {
-                $lookup: {
-                  from: "tickets",
-                  localField: "ticketId",
-                  foreignField: "_id",
-                  as: "ticket",
-                },
-              },
-              { $unwind: "$ticket" },
-              {
-                $match: {
-                  "ticket.vendorEmail": email,
-                },
-              },
-            ])
-            .toArray();
+          const rate = Number(req.body?.rate);
+          if (!rate || rate <= 0) {
+            return res.status(400).send({ message: "rate must be positive" });
+          }
 
-          const ticketsSold = payments.reduce(
-            (sum, p) => sum + (p.quantity || 0),
-            0
+          await exchangeRatesCollection.updateOne(
+            { _id: currency },
+            {
+              $set: {
+                rate,
+                updatedBy: req.decoded.email,
+                updatedAt: new Date(),
+              },
+            },
+            { upsert: true }
           );
 
-          const totalRevenue = payments.reduce(
-            (sum, p) => sum + (p.amount || 0),
-            0
-          );
+          res.send({ success: true, currency, rate });
+        } catch (err) {
+          console.error("PUT /admin/exchange-rates/:currency error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
 
-          res.send({
-            totalRevenue,
-            ticketsSold,
-            ticketsAdded,
+    app.delete(
+      "/admin/exchange-rates/:currency",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const currency = normalizeCurrency(req.params.currency);
+          const result = await exchangeRatesCollection.deleteOne({
+            _id: currency,
           });
+          res.send(result);
         } catch (err) {
-          console.error("Vendor revenue error:", err);
+          console.error("DELETE /admin/exchange-rates/:currency error:", err);
           res.status(500).send({ message: "Server error" });
         }
       }
@@ -1300,13 +7862,32 @@ async function run() {
       async (req, res) => {
         const chartData = await paymentsCollection
           .aggregate([
+            ...(req.query.fareClass
+              ? [
+                  {
+                    $match: {
+                      fareClass: String(req.query.fareClass).toLowerCase(),
+                    },
+                  },
+                ]
+              : []),
             {
               $group: {
                 _id: { $dateToString: { format: "%Y-%m-%d", date: "$paidAt" } },
-                revenue: { $sum: "$amount" },
+                revenue: {
+                  $sum: inBaseCurrency({
+                    $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+                  }),
+                },
               },
             },
             { $sort: { _id: 1 } },
+            {
+              $project: {
+                revenue: { $round: ["$revenue", 2] },
+                currency: BASE_CURRENCY,
+              },
+            },
           ])
           .toArray();
 
@@ -1372,11 +7953,88 @@ async function run() {
           { vendorEmail: user.email },
           { $set: { hidden: true } }
         );
+        // hidden tickets are never shown, so they give up their ad slots
+        await campaignsCollection.updateMany(
+          { vendorEmail: user.email, status: "active" },
+          { $set: { status: "cancelled", cancelledAt: new Date() } }
+        );
 
         res.send({ success: true });
       }
     );
 
+    // Per-vendor reliability for the fraud review: trips cancelled after
+    // sales, and how many customers and how much money that touched
+    app.get(
+      "/admin/vendors/quality",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const days = Math.min(parseInt(req.query.days) || 90, 365);
+          const since = new Date(Date.now() - days * DAY_MS);
+
+          const cancellations = await tripCancellationsCollection
+            .aggregate([
+              { $match: { cancelledAt: { $gte: since } } },
+              {
+                $group: {
+                  _id: "$vendorEmail",
+                  tripsCancelled: { $sum: 1 },
+                  bookingsAffected: {
+                    $sum: { $add: ["$bookingsCancelled", "$bookingsRefunded"] },
+                  },
+                  refundedAmount: { $sum: "$refundedAmount" },
+                  lastCancelledAt: { $max: "$cancelledAt" },
+                  reasons: { $push: "$reason" },
+                },
+              },
+            ])
+            .toArray();
+
+          const trips = await ticketsCollection
+            .aggregate([
+              { $match: { departure: { $gte: since } } },
+              { $group: { _id: "$vendorEmail", trips: { $sum: 1 } } },
+            ])
+            .toArray();
+          const tripsByVendor = new Map(trips.map((t) => [t._id, t.trips]));
+
+          const vendors = await usersCollection
+            .find({ role: "vendor" })
+            .project({ email: 1, name: 1, isFraud: 1 })
+            .toArray();
+          const vendorByEmail = new Map(vendors.map((v) => [v.email, v]));
+
+          const report = cancellations
+            .map((row) => {
+              const trips = tripsByVendor.get(row._id) || 0;
+              return {
+                vendorEmail: row._id,
+                name: vendorByEmail.get(row._id)?.name || null,
+                isFraud: vendorByEmail.get(row._id)?.isFraud === true,
+                trips,
+                tripsCancelled: row.tripsCancelled,
+                cancellationRate: trips
+                  ? Math.round((row.tripsCancelled / trips) * 1000) / 1000
+                  : null,
+                bookingsAffected: row.bookingsAffected,
+                refundedAmount: roundMoney(row.refundedAmount),
+                currency: BASE_CURRENCY,
+                lastCancelledAt: row.lastCancelledAt,
+                recentReasons: row.reasons.slice(-5),
+              };
+            })
+            .sort((a, b) => b.tripsCancelled - a.tripsCancelled);
+
+          res.send({ days, vendors: report });
+        } catch (err) {
+          console.error("GET /admin/vendors/quality error:", err);
+          res.status(500).send({ message: "Server error" });
+        }
+      }
+    );
+
     // -------------------------------
 
     console.log("✅ Backend routes registered.");
@@ -1385,10 +8043,13 @@ async function run() {
   }
 }
 
-run().catch(console.error);
+app.locals.ready = run().catch(console.error);
 
-app.listen(port, () => {
-  console.log(`🔥 Server running on port ${port}`);
-});
+// scripts such as reconcile.js load the app without serving it
+if (process.env.NO_LISTEN !== "true") {
+  app.listen(port, () => {
+    console.log(`🔥 Server running on port ${port}`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,17 @@
+// One-off: gives tickets created before reviews existed their vendor's
+// rating, so ticket search can sort and filter on it.
+// Usage: npm run migrate:ratings
+process.env.NO_LISTEN = "true";
+const app = require("./index");
+
+(async () => {
+  await app.locals.ready;
+
+  const result = await app.locals.backfillTicketRatings();
+
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
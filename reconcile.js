@@ -0,0 +1,20 @@
+// Usage: npm run reconcile -- [--days=7] [--fix]
+process.env.NO_LISTEN = "true";
+const app = require("./index");
+
+const args = process.argv.slice(2);
+const days = Number(args.find((a) => a.startsWith("--days="))?.slice(7)) || 7;
+const fix = args.includes("--fix");
+
+(async () => {
+  await app.locals.ready;
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const result = await app.locals.runReconciliation({ since, fix });
+
+  console.log(JSON.stringify(result, null, 2));
+  process.exit(result.issues.some((i) => !i.fixed) ? 1 : 0);
+})().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
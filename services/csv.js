@@ -0,0 +1,85 @@
+// services/csv.js
+//
+// Just enough RFC 4180 for spreadsheet round trips: quoted fields, escaped
+// quotes ("") and line breaks inside quotes, CRLF or LF line endings.
+//
+// Text starting with = + - @ (or a tab / CR) would run as a formula when
+// the file is opened in a spreadsheet, toCsv writes it with a leading '
+// and parseCsv takes that quote off again.
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// CSV text -> array of objects keyed by the header row
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter((r) =>
+    r.some((value) => value.trim() !== "")
+  );
+  const keys = header.map((key) => key.trim());
+
+  return data.map((values) =>
+    Object.fromEntries(
+      keys.map((key, i) => [key, unescapeFormula((values[i] ?? "").trim())])
+    )
+  );
+}
+
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value !== "number" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// array of objects -> CSV text with the given columns in order
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeField).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeField(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCsv, toCsv };
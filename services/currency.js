@@ -0,0 +1,52 @@
+// services/currency.js
+//
+// Stripe wants amounts in the currency's minor unit (cents, poisha, ...),
+// except for zero-decimal currencies where the major unit is used as is.
+// https://docs.stripe.com/currencies#zero-decimal
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "usd").toLowerCase();
+
+const ZERO_DECIMAL = new Set([
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+]);
+
+// "BDT " -> "bdt", or null when it isn't a currency code
+function normalizeCurrency(code) {
+  const currency = String(code || "")
+    .trim()
+    .toLowerCase();
+  return /^[a-z]{3}$/.test(currency) ? currency : null;
+}
+
+const minorUnitFactor = (currency) =>
+  ZERO_DECIMAL.has(String(currency).toLowerCase()) ? 1 : 100;
+
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * minorUnitFactor(currency));
+}
+
+function fromMinorUnits(amount, currency) {
+  return Number(amount) / minorUnitFactor(currency);
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  normalizeCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+};
@@ -0,0 +1,72 @@
+// services/eticket.js
+//
+// Boarding passes for paid bookings, one per passenger (or seat). A token is
+//
+//   base64url(JSON payload) + "." + base64url(HMAC-SHA256 of that part)
+//
+// with payload { v, b: bookingId, t: ticketId, p: passenger no., s: seat }.
+// Scanners can check the signature without a lookup and any edited field
+// breaks it. The token itself goes into the QR code.
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+const VERSION = 1;
+
+const hmac = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+function signTicket({ bookingId, ticketId, passenger, seat = null }, secret) {
+  const payload = {
+    v: VERSION,
+    b: String(bookingId),
+    t: String(ticketId),
+    p: passenger,
+    s: seat,
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${hmac(data, secret)}`;
+}
+
+// Returns { bookingId, ticketId, passenger, seat } or null when the token
+// is malformed or the signature does not match
+function verifyTicket(token, secret) {
+  const [data, signature, extra] = String(token || "")
+    .trim()
+    .split(".");
+  if (!data || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(hmac(data, secret));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString());
+    if (payload.v !== VERSION) return null;
+    return {
+      bookingId: payload.b,
+      ticketId: payload.t,
+      passenger: payload.p,
+      seat: payload.s ?? null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Resolves with a PNG Buffer of the token's QR code
+function renderQr(token) {
+  return QRCode.toBuffer(token, {
+    type: "png",
+    errorCorrectionLevel: "M",
+    margin: 2,
+    width: 320,
+  });
+}
+
+module.exports = { signTicket, verifyTicket, renderQr };
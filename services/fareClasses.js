@@ -0,0 +1,94 @@
+// services/fareClasses.js
+//
+// Fare classes split one departure into tiers with their own price and
+// inventory. A ticket may carry
+//
+//   fareClasses: [
+//     { code: "economy", name: "Economy", price: 800, capacity: 40,
+//       perks: ["Snacks"], refundable: true },
+//     { code: "business", name: "Business", price: 1500, capacity: 8,
+//       refundable: false },
+//   ]
+//
+// Each class keeps its own `quantity` (seats left); the ticket's `price` is
+// the cheapest class and its `quantity` / `capacity` the totals. On tickets
+// with a seat map every seat's `class` names its fare class, and the seat
+// map decides the class capacities.
+
+const CODE_RE = /^[a-z0-9_-]{1,32}$/;
+
+// Checks vendor input, returns { fareClasses } or { error }
+function parseFareClasses(input, seatMap = null) {
+  if (input === null) return { fareClasses: null };
+  if (!Array.isArray(input) || !input.length) {
+    return { error: "fareClasses must be a non-empty array" };
+  }
+
+  const seatsPerClass = {};
+  if (seatMap) {
+    const blocked = new Set(seatMap.blocked || []);
+    for (const seat of seatMap.seats) {
+      if (blocked.has(seat.id)) continue;
+      seatsPerClass[seat.class] = (seatsPerClass[seat.class] || 0) + 1;
+    }
+  }
+
+  const fareClasses = [];
+  for (const [i, fare] of input.entries()) {
+    const where = `fareClasses[${i}]`;
+    const code = String(fare?.code || "")
+      .trim()
+      .toLowerCase();
+
+    if (!CODE_RE.test(code)) {
+      return { error: `${where}.code must be 1-32 letters, digits, - or _` };
+    }
+    if (fareClasses.some((f) => f.code === code)) {
+      return { error: `${where}: duplicate fare class ${code}` };
+    }
+
+    const price = Number(fare.price);
+    if (!(price > 0)) return { error: `${where}.price must be positive` };
+
+    const capacity = seatMap ? seatsPerClass[code] || 0 : Number(fare.capacity);
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      return {
+        error: seatMap
+          ? `${where}: no bookable seats of class ${code} on the seat map`
+          : `${where}.capacity must be a positive integer`,
+      };
+    }
+
+    fareClasses.push({
+      code,
+      name: String(fare.name || code).trim(),
+      price,
+      capacity,
+      quantity: capacity,
+      perks: Array.isArray(fare.perks) ? fare.perks : [],
+      refundable: fare.refundable !== false,
+    });
+  }
+
+  if (seatMap) {
+    const unknown = Object.keys(seatsPerClass).find(
+      (cls) => !fareClasses.some((f) => f.code === cls)
+    );
+    if (unknown) {
+      return { error: `Seat map uses class ${unknown} with no fare class` };
+    }
+  }
+
+  return { fareClasses };
+}
+
+// Ticket-level price and inventory that follow from the classes
+function fareTotals(fareClasses) {
+  return {
+    price: Math.min(...fareClasses.map((f) => f.price)),
+    quantity: fareClasses.reduce((sum, f) => sum + f.quantity, 0),
+    capacity: fareClasses.reduce((sum, f) => sum + f.capacity, 0),
+  };
+}
+
+module.exports = { parseFareClasses, fareTotals };
@@ -0,0 +1,108 @@
+// services/journeys.js
+//
+// Builds multi-leg itineraries out of single tickets, e.g. launch
+// Dhaka -> Barisal followed by bus Barisal -> Kuakata. A leg can only follow
+// another when it leaves from where the previous one arrives, within the
+// allowed layover, in the same currency (one checkout pays for everything).
+// Legs need an `arrival` time unless they are the last one.
+
+const samePlace = (a, b) =>
+  String(a || "")
+    .trim()
+    .toLowerCase() ===
+  String(b || "")
+    .trim()
+    .toLowerCase();
+
+// Why `next` can't follow `prev`, or null when it can
+function connectionError(prev, next, { minLayoverMs, maxLayoverMs }) {
+  if (!samePlace(prev.to, next.from)) {
+    return `${next.title} does not leave from ${prev.to}`;
+  }
+  if (!prev.arrival) return `${prev.title} has no arrival time`;
+  if ((prev.currency || "usd") !== (next.currency || "usd")) {
+    return "All legs must be sold in the same currency";
+  }
+
+  const layover = new Date(next.departure) - new Date(prev.arrival);
+  if (layover < minLayoverMs) return `Connection to ${next.title} is too tight`;
+  if (layover > maxLayoverMs) return `Layover before ${next.title} is too long`;
+  return null;
+}
+
+// Every itinerary from `from` to `to` whose first leg departs within
+// [after, before), with at most maxLegs legs and no place visited twice.
+// priceOf(ticket) gives the unit price used for the totals.
+function findItineraries(
+  tickets,
+  { from, to, after, before, maxLegs, minLayoverMs, maxLayoverMs, priceOf }
+) {
+  const byOrigin = new Map();
+  for (const ticket of tickets) {
+    const key = String(ticket.from || "")
+      .trim()
+      .toLowerCase();
+    if (!byOrigin.has(key)) byOrigin.set(key, []);
+    byOrigin.get(key).push(ticket);
+  }
+  const leaving = (place) =>
+    byOrigin.get(
+      String(place || "")
+        .trim()
+        .toLowerCase()
+    ) || [];
+
+  const itineraries = [];
+
+  const extend = (legs) => {
+    const last = legs[legs.length - 1];
+
+    if (samePlace(last.to, to)) {
+      itineraries.push(summarize(legs, priceOf));
+      return;
+    }
+    if (legs.length >= maxLegs) return;
+
+    for (const next of leaving(last.to)) {
+      if (legs.some((leg) => samePlace(leg.from, next.to))) continue;
+      if (connectionError(last, next, { minLayoverMs, maxLayoverMs })) continue;
+      extend([...legs, next]);
+    }
+  };
+
+  for (const first of leaving(from)) {
+    const departure = new Date(first.departure);
+    if (departure >= after && departure < before) extend([first]);
+  }
+
+  return itineraries;
+}
+
+function summarize(legs, priceOf) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+
+  const departure = new Date(first.departure);
+  const arrival = last.arrival ? new Date(last.arrival) : null;
+  const prices = legs.map(priceOf);
+
+  return {
+    legs: legs.map((leg, i) => ({ ...leg, unitPrice: prices[i] })),
+    from: first.from,
+    to: last.to,
+    currency: first.currency || "usd",
+    unitPrice: Math.round(prices.reduce((a, b) => a + b, 0) * 100) / 100,
+    departure,
+    arrival,
+    durationMinutes: arrival ? Math.round((arrival - departure) / 60000) : null,
+    layoverMinutes: legs
+      .slice(1)
+      .map((leg, i) =>
+        Math.round(
+          (new Date(leg.departure) - new Date(legs[i].arrival)) / 60000
+        )
+      ),
+  };
+}
+
+module.exports = { connectionError, findItineraries };
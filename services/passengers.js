@@ -0,0 +1,67 @@
+// services/passengers.js
+//
+// Who is travelling on a booking, one record per seat in booking order
+// (passenger 1 sits in seats[0] and so on):
+//
+//   passengers: [
+//     { name: "Rahim Uddin", age: 34, idNumber: "A01234567",
+//       phone: "+8801711000000" },
+//   ]
+//
+// Some operators (launches, planes) must know every passenger's identity
+// document, for them idNumber is required.
+
+const MAX_NAME = 100;
+const ID_RE = /^[A-Za-z0-9-]{4,30}$/;
+const PHONE_RE = /^\+?[0-9][0-9 ()-]{5,19}$/;
+
+// Checks customer input against the booked quantity.
+// Returns { passengers } or { error }.
+function parsePassengers(input, quantity, { requireId = false } = {}) {
+  if (!Array.isArray(input)) return { error: "passengers must be an array" };
+  if (input.length !== quantity) {
+    return { error: `Expected ${quantity} passenger(s), got ${input.length}` };
+  }
+
+  const passengers = [];
+  for (const [i, person] of input.entries()) {
+    const where = `passengers[${i}]`;
+
+    const name = String(person?.name || "")
+      .trim()
+      .replace(/\s+/g, " ");
+    if (!name || name.length > MAX_NAME) {
+      return { error: `${where}.name is required (max ${MAX_NAME} chars)` };
+    }
+
+    const age = Number(person.age);
+    if (!Number.isInteger(age) || age < 0 || age > 120) {
+      return { error: `${where}.age must be a whole number 0-120` };
+    }
+
+    const idNumber = String(person.idNumber || "")
+      .trim()
+      .toUpperCase();
+    if (idNumber ? !ID_RE.test(idNumber) : requireId) {
+      return {
+        error: `${where}.idNumber must be an ID or passport number`,
+      };
+    }
+
+    const phone = String(person.phone || "").trim();
+    if (phone && !PHONE_RE.test(phone)) {
+      return { error: `${where}.phone is not a valid phone number` };
+    }
+
+    passengers.push({
+      name,
+      age,
+      idNumber: idNumber || null,
+      phone: phone || null,
+    });
+  }
+
+  return { passengers };
+}
+
+module.exports = { parsePassengers };
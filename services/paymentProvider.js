@@ -0,0 +1,75 @@
+// services/paymentProvider.js
+//
+// Everything the backend asks of the card processor goes through this
+// interface, so it can be swapped for a fake Stripe client in tests.
+// Sessions, refunds etc. keep Stripe's own object shapes.
+//
+//   createCheckoutSession(params)            -> session
+//   retrieveCheckoutSession(id)              -> session
+//   expireCheckoutSession(id)                -> session
+//   createDiscount({ amountOff, currency, name }) -> coupon id
+//   createRefund(params, idempotencyKey)     -> refund
+//   listCheckoutSessions({ createdAfter, limit }) -> session[]
+//   getAmountRefunded(paymentIntentId)       -> major units (e.g. dollars)
+
+const { fromMinorUnits } = require("./currency");
+
+function createPaymentProvider(stripe) {
+  return {
+    name: "stripe",
+
+    createCheckoutSession(params) {
+      return stripe.checkout.sessions.create(params);
+    },
+
+    retrieveCheckoutSession(id) {
+      return stripe.checkout.sessions.retrieve(id);
+    },
+
+    expireCheckoutSession(id) {
+      return stripe.checkout.sessions.expire(id);
+    },
+
+    // one-off coupon that can be redeemed by a single session
+    async createDiscount({ amountOff, currency, name }) {
+      const coupon = await stripe.coupons.create({
+        amount_off: amountOff,
+        currency,
+        duration: "once",
+        max_redemptions: 1,
+        name,
+      });
+      return coupon.id;
+    },
+
+    createRefund(params, idempotencyKey) {
+      return stripe.refunds.create(params, { idempotencyKey });
+    },
+
+    async listCheckoutSessions({ createdAfter, limit = 1000 }) {
+      const sessions = [];
+      const list = stripe.checkout.sessions.list({
+        created: { gte: Math.floor(createdAfter.getTime() / 1000) },
+        limit: 100,
+      });
+
+      for await (const session of list) {
+        sessions.push(session);
+        if (sessions.length >= limit) break;
+      }
+      return sessions;
+    },
+
+    async getAmountRefunded(paymentIntentId) {
+      const intent = await stripe.paymentIntents.retrieve(paymentIntentId, {
+        expand: ["latest_charge"],
+      });
+      return fromMinorUnits(
+        intent.latest_charge?.amount_refunded || 0,
+        intent.currency
+      );
+    },
+  };
+}
+
+module.exports = { createPaymentProvider };
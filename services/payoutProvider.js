@@ -0,0 +1,61 @@
+// services/payoutProvider.js
+//
+// Payout providers move the money TixGo owes a vendor out of the platform.
+// Every provider has the same shape:
+//
+//   sendPayout({ payoutId, vendorEmail, destination, amount, currency })
+//     -> { reference, status }   status is "pending" or "paid"
+//   getPayoutStatus(reference)
+//     -> "pending" | "paid" | "failed"
+//
+// Amounts are in major units (e.g. dollars), like the rest of the ledger.
+
+const { toMinorUnits } = require("./currency");
+
+// Doesn't move any money, for local development and demos
+const localProvider = {
+  name: "local",
+
+  async sendPayout({ payoutId }) {
+    return { reference: `local_${payoutId}`, status: "pending" };
+  },
+
+  async getPayoutStatus() {
+    return "paid";
+  },
+};
+
+// Stripe Connect transfer to the vendor's connected account
+const stripeProvider = (stripe) => ({
+  name: "stripe",
+
+  async sendPayout({ payoutId, vendorEmail, destination, amount, currency }) {
+    if (!destination) {
+      throw new Error("Vendor has no connected Stripe account");
+    }
+
+    const transfer = await stripe.transfers.create(
+      {
+        amount: toMinorUnits(amount, currency),
+        currency,
+        destination,
+        metadata: { payoutId: String(payoutId), vendorEmail },
+      },
+      { idempotencyKey: `payout-${payoutId}` }
+    );
+
+    return { reference: transfer.id, status: "paid" };
+  },
+
+  async getPayoutStatus(reference) {
+    const transfer = await stripe.transfers.retrieve(reference);
+    return transfer.reversed ? "failed" : "paid";
+  },
+});
+
+function createPayoutProvider(name, stripe) {
+  if (name === "stripe") return stripeProvider(stripe);
+  return localProvider;
+}
+
+module.exports = { createPayoutProvider };
@@ -0,0 +1,197 @@
+// services/pricing.js
+//
+// Dynamic ticket pricing. A ticket may carry
+//
+//   pricingRules: {
+//     floor: 500,          // optional, never quote below
+//     ceiling: 1500,       // optional, never quote above
+//     rules: [
+//       // departure is between minDays and maxDays away
+//       { type: "daysBefore", minDays: 0, maxDays: 2, adjustPercent: 20 },
+//       // remaining seats are at most maxFraction of the capacity
+//       { type: "remaining", maxFraction: 0.2, adjustPercent: 15 },
+//       // departure falls on one of the weekdays (0 = Sunday), and/or
+//       // within [fromHour, toHour)
+//       { type: "schedule", weekdays: [5, 6], fromHour: 18, toHour: 24,
+//         adjustAmount: 50 },
+//     ],
+//   }
+//
+// Each matching rule adjusts the running price by adjustPercent and/or
+// adjustAmount (negative values discount), in the order listed.
+
+const { DAY_MS, localTime } = require("./time");
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const roundMoney = (n) => Math.round(n * 100) / 100;
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function ruleMatches(rule, ticket, now) {
+  const departure = new Date(ticket.departure);
+
+  if (rule.type === "daysBefore") {
+    const days = (departure - now) / DAY_MS;
+    return days >= (rule.minDays ?? 0) && days < (rule.maxDays ?? Infinity);
+  }
+
+  if (rule.type === "remaining") {
+    const capacity = ticket.capacity || ticket.quantity;
+    if (!capacity) return false;
+    return ticket.quantity / capacity <= rule.maxFraction;
+  }
+
+  if (rule.type === "schedule") {
+    const { weekday, hour } = localTime(departure);
+    if (rule.weekdays?.length && !rule.weekdays.includes(weekday)) {
+      return false;
+    }
+    return hour >= (rule.fromHour ?? 0) && hour < (rule.toHour ?? 24);
+  }
+
+  return false;
+}
+
+function describeRule(rule) {
+  if (rule.type === "daysBefore") {
+    return `Departure in ${rule.minDays ?? 0}-${rule.maxDays ?? "∞"} days`;
+  }
+  if (rule.type === "remaining") {
+    return `${Math.round(rule.maxFraction * 100)}% or fewer seats left`;
+  }
+  const days = rule.weekdays?.length
+    ? rule.weekdays.map((d) => WEEKDAYS[d]).join(", ")
+    : "Any day";
+  return `${days} ${rule.fromHour ?? 0}:00-${rule.toHour ?? 24}:00`;
+}
+
+// Current unit price of a ticket with the adjustments that produced it
+function quotePrice(ticket, now = new Date()) {
+  const basePrice = Number(ticket.price);
+  const { rules = [], floor, ceiling } = ticket.pricingRules || {};
+  const breakdown = [];
+  let price = basePrice;
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, ticket, now)) continue;
+
+    const before = price;
+    if (isNum(rule.adjustPercent)) price += (price * rule.adjustPercent) / 100;
+    if (isNum(rule.adjustAmount)) price += rule.adjustAmount;
+
+    breakdown.push({
+      type: rule.type,
+      description: describeRule(rule),
+      amount: roundMoney(price - before),
+    });
+  }
+
+  if (isNum(floor) && price < floor) {
+    breakdown.push({
+      type: "floor",
+      description: "Minimum price",
+      amount: roundMoney(floor - price),
+    });
+    price = floor;
+  }
+
+  if (isNum(ceiling) && price > ceiling) {
+    breakdown.push({
+      type: "ceiling",
+      description: "Maximum price",
+      amount: roundMoney(ceiling - price),
+    });
+    price = ceiling;
+  }
+
+  return { basePrice, price: roundMoney(price), breakdown };
+}
+
+// Checks vendor input, returns { pricingRules } or { error }
+function parsePricingRules(input) {
+  if (input === null) return { pricingRules: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "pricingRules must be an object" };
+  }
+
+  const { floor, ceiling, rules = [] } = input;
+
+  if (floor !== undefined && (!isNum(floor) || floor < 0)) {
+    return { error: "floor must be a non-negative number" };
+  }
+  if (ceiling !== undefined && (!isNum(ceiling) || ceiling <= 0)) {
+    return { error: "ceiling must be a positive number" };
+  }
+  if (isNum(floor) && isNum(ceiling) && floor > ceiling) {
+    return { error: "floor cannot be above ceiling" };
+  }
+  if (!Array.isArray(rules)) return { error: "rules must be an array" };
+
+  const clean = [];
+  for (const [i, rule] of rules.entries()) {
+    const where = `rules[${i}]`;
+
+    if (!isNum(rule?.adjustPercent) && !isNum(rule?.adjustAmount)) {
+      return { error: `${where} needs adjustPercent or adjustAmount` };
+    }
+    if (isNum(rule.adjustPercent) && rule.adjustPercent <= -100) {
+      return { error: `${where}.adjustPercent must be above -100` };
+    }
+
+    const adjust = {
+      ...(isNum(rule.adjustPercent) && { adjustPercent: rule.adjustPercent }),
+      ...(isNum(rule.adjustAmount) && { adjustAmount: rule.adjustAmount }),
+    };
+
+    if (rule.type === "daysBefore") {
+      const { minDays = 0, maxDays } = rule;
+      if (!isNum(minDays) || (maxDays !== undefined && !isNum(maxDays))) {
+        return { error: `${where} minDays/maxDays must be numbers` };
+      }
+      clean.push({
+        type: "daysBefore",
+        minDays,
+        ...(maxDays !== undefined && { maxDays }),
+        ...adjust,
+      });
+    } else if (rule.type === "remaining") {
+      const { maxFraction } = rule;
+      if (!isNum(maxFraction) || maxFraction < 0 || maxFraction > 1) {
+        return { error: `${where}.maxFraction must be between 0 and 1` };
+      }
+      clean.push({ type: "remaining", maxFraction, ...adjust });
+    } else if (rule.type === "schedule") {
+      const { weekdays = [], fromHour = 0, toHour = 24 } = rule;
+      if (
+        !Array.isArray(weekdays) ||
+        weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+      ) {
+        return { error: `${where}.weekdays must be numbers 0-6` };
+      }
+      if (
+        !isNum(fromHour) ||
+        !isNum(toHour) ||
+        fromHour < 0 ||
+        toHour > 24 ||
+        fromHour >= toHour
+      ) {
+        return { error: `${where} needs 0 <= fromHour < toHour <= 24` };
+      }
+      clean.push({ type: "schedule", weekdays, fromHour, toHour, ...adjust });
+    } else {
+      return {
+        error: `${where}.type must be daysBefore, remaining or schedule`,
+      };
+    }
+  }
+
+  return {
+    pricingRules: {
+      ...(floor !== undefined && { floor }),
+      ...(ceiling !== undefined && { ceiling }),
+      rules: clean,
+    },
+  };
+}
+
+module.exports = { quotePrice, parsePricingRules };
@@ -0,0 +1,86 @@
+// services/receiptPdf.js
+//
+// Renders a payment receipt / invoice as a PDF, entirely in-process.
+
+const PDFDocument = require("pdfkit");
+
+const money = (amount, currency) =>
+  `${Number(amount || 0).toFixed(2)} ${String(
+    currency || "usd"
+  ).toUpperCase()}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toUTCString().replace("GMT", "UTC") : "-";
+
+// Resolves with the PDF as a Buffer
+function renderReceiptPdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { currency } = invoice;
+
+    doc.fontSize(22).text("TixGo", { continued: true });
+    doc.fontSize(12).text("  Invoice / Receipt", { baseline: "bottom" });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    doc.text(`Invoice number: ${invoice.invoiceNumber}`);
+    doc.text(`Issued: ${formatDate(invoice.issuedAt)}`);
+    doc.text(`Paid: ${formatDate(invoice.paidAt)}`);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Billed to");
+    doc.fontSize(10);
+    if (invoice.customerName) doc.text(invoice.customerName);
+    doc.text(invoice.customerEmail);
+    doc.moveDown();
+
+    doc.fontSize(12).text("Trip");
+    doc.fontSize(10);
+    doc.text(invoice.ticketTitle);
+    doc.text(`Route: ${invoice.from || "-"} to ${invoice.to || "-"}`);
+    if (invoice.transport) doc.text(`Transport: ${invoice.transport}`);
+    doc.text(`Departure: ${formatDate(invoice.departure)}`);
+    doc.moveDown();
+
+    const rows = [
+      ["Quantity", String(invoice.quantity)],
+      ["Unit price", money(invoice.unitPrice, currency)],
+      ["Subtotal", money(invoice.subtotal, currency)],
+      [
+        invoice.couponCode ? `Discount (${invoice.couponCode})` : "Discount",
+        `-${money(invoice.discount, currency)}`,
+      ],
+      [`Tax included (${invoice.taxPercent}%)`, money(invoice.tax, currency)],
+      ["Total paid", money(invoice.total, currency)],
+    ];
+    if (invoice.refunded > 0) {
+      rows.push(["Refunded", `-${money(invoice.refunded, currency)}`]);
+    }
+
+    const labelX = 50;
+    const valueX = 350;
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.text(label, labelX, y);
+      doc.text(value, valueX, y, { width: 195, align: "right" });
+    }
+    doc.moveDown();
+
+    doc.text(`Transaction id: ${invoice.transactionId}`, labelX);
+    doc.moveDown(2);
+    doc
+      .fontSize(8)
+      .fillColor("gray")
+      .text("Thank you for travelling with TixGo.", { align: "center" });
+
+    doc.end();
+  });
+}
+
+module.exports = { renderReceiptPdf };
@@ -0,0 +1,175 @@
+// services/reconciliation.js
+//
+// Compares what the payment provider says happened with what we recorded in
+// the payments and bookings collections, and optionally repairs it.
+//
+// Issue types:
+//   paid_not_recorded        provider took the money, no payment row
+//   booking_not_marked_paid  payment row exists, booking isn't "paid"
+//   paid_without_payment     booking is "paid", no payment row
+//   amount_mismatch          payment amount differs from the session total
+//   refunded_not_recorded    provider refunded more than we recorded
+//
+// Amount mismatches are only reported, everything else can be fixed with
+// the `fixers` callbacks the caller passes in. Order sessions pay for
+// several bookings and have one payment row per booking; their amounts are
+// compared as a sum.
+
+const { ObjectId } = require("mongodb");
+const { toMinorUnits, fromMinorUnits } = require("./currency");
+
+const toObjectId = (id) => {
+  try {
+    return new ObjectId(id);
+  } catch {
+    return null;
+  }
+};
+
+async function reconcile({
+  provider,
+  paymentsCollection,
+  bookingsCollection,
+  fixers = {},
+  since,
+  fix = false,
+}) {
+  const issues = [];
+  const report = (issue, repair) => issues.push({ ...issue, repair });
+
+  const sessions = await provider.listCheckoutSessions({ createdAfter: since });
+  const paid = sessions.filter((s) => s.payment_status === "paid");
+
+  for (const session of paid) {
+    // ad campaigns are paid through checkout too but are not ticket sales
+    if (session.metadata?.campaignId) continue;
+
+    const transactionId = session.payment_intent;
+    const { bookingId, orderId } = session.metadata || {};
+    const base = {
+      sessionId: session.id,
+      transactionId,
+      bookingId: bookingId || null,
+      ...(orderId && { orderId }),
+    };
+
+    const payments = await paymentsCollection.find({ transactionId }).toArray();
+    if (!payments.length) {
+      report({ type: "paid_not_recorded", ...base }, () =>
+        fixers.recordPayment(session)
+      );
+      continue;
+    }
+
+    const { currency } = session;
+    const minor = (amount) => toMinorUnits(amount || 0, currency);
+    const recordedMinor = (key) =>
+      payments.reduce((sum, p) => sum + minor(p[key]), 0);
+
+    if (recordedMinor("amount") !== session.amount_total) {
+      report({
+        type: "amount_mismatch",
+        ...base,
+        recorded: fromMinorUnits(recordedMinor("amount"), currency),
+        provider: fromMinorUnits(session.amount_total, currency),
+      });
+    }
+
+    // an order refund can't be pinned to one of its bookings automatically
+    const refunded = await provider.getAmountRefunded(transactionId);
+    const refundedMinor = recordedMinor("refundedAmount");
+    if (minor(refunded) > refundedMinor) {
+      report(
+        {
+          type: "refunded_not_recorded",
+          ...base,
+          recorded: fromMinorUnits(refundedMinor, currency),
+          provider: refunded,
+        },
+        payments.length === 1
+          ? () =>
+              fixers.recordExternalRefund(
+                payments[0],
+                fromMinorUnits(minor(refunded) - refundedMinor, currency)
+              )
+          : null
+      );
+    }
+
+    let bookings = [];
+    if (orderId) {
+      const oid = toObjectId(orderId);
+      bookings = oid
+        ? await bookingsCollection.find({ orderId: oid }).toArray()
+        : [];
+    } else if (bookingId) {
+      const oid = toObjectId(bookingId);
+      const booking = oid && (await bookingsCollection.findOne({ _id: oid }));
+      if (booking) bookings = [booking];
+    }
+
+    for (const booking of bookings) {
+      if (["paid", "refunded"].includes(booking.status)) continue;
+      report(
+        {
+          type: "booking_not_marked_paid",
+          ...base,
+          bookingId: booking._id.toString(),
+          status: booking.status,
+        },
+        () => fixers.recordPayment(session)
+      );
+    }
+  }
+
+  // the other direction: bookings that think they are paid
+  const paidBookings = await bookingsCollection
+    .find({ status: "paid", paidAt: { $gte: since } })
+    .toArray();
+
+  for (const booking of paidBookings) {
+    const payment = await paymentsCollection.findOne({
+      bookingId: booking._id,
+    });
+    if (payment) continue;
+
+    const session = booking.checkoutSessionId
+      ? await provider.retrieveCheckoutSession(booking.checkoutSessionId)
+      : null;
+
+    report(
+      {
+        type: "paid_without_payment",
+        bookingId: booking._id.toString(),
+        sessionId: session?.id || null,
+        providerStatus: session?.payment_status || null,
+      },
+      session?.payment_status === "paid"
+        ? () => fixers.recordPayment(session)
+        : null
+    );
+  }
+
+  let fixed = 0;
+  for (const issue of issues) {
+    const { repair } = issue;
+    delete issue.repair;
+
+    issue.fixable = !!repair;
+    if (fix && repair) {
+      await repair();
+      issue.fixed = true;
+      fixed++;
+    }
+  }
+
+  return {
+    since,
+    checkedSessions: sessions.length,
+    paidSessions: paid.length,
+    issues,
+    fixed,
+  };
+}
+
+module.exports = { reconcile };
@@ -0,0 +1,97 @@
+// services/schedule.js
+//
+// Recurrence rules for schedules, the route templates vendors run on a
+// timetable. A schedule carries
+//
+//   recurrence: {
+//     frequency: "weekly",       // or "daily"
+//     weekdays: [0, 5],          // weekly only, 0 = Sunday
+//     time: "07:30",             // local departure time
+//     startDate: "2026-03-01",   // optional, defaults to today
+//     endDate: "2026-06-30",     // optional, runs indefinitely without it
+//   }
+//
+// Days and times are in the operating timezone, see ./time.
+
+const { DAY_MS, localDate, dayRange } = require("./time");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// "2026-03-01" -> "2026-03-02", calendar arithmetic so no timezone involved
+const nextDay = (day) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// Checks vendor input, returns { recurrence } or { error }
+function parseRecurrence(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "recurrence must be an object" };
+  }
+
+  const { frequency, weekdays, time, startDate, endDate } = input;
+
+  if (!["daily", "weekly"].includes(frequency)) {
+    return { error: "recurrence.frequency must be daily or weekly" };
+  }
+
+  if (
+    frequency === "weekly" &&
+    (!Array.isArray(weekdays) ||
+      !weekdays.length ||
+      weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6))
+  ) {
+    return { error: "recurrence.weekdays must be numbers 0-6" };
+  }
+
+  if (!TIME_RE.test(String(time || ""))) {
+    return { error: "recurrence.time must be HH:MM" };
+  }
+
+  for (const [key, value] of Object.entries({ startDate, endDate })) {
+    if (value != null && (!DATE_RE.test(value) || !dayRange(value))) {
+      return { error: `recurrence.${key} must be YYYY-MM-DD` };
+    }
+  }
+
+  const start = startDate || localDate(new Date());
+  if (endDate && endDate < start) {
+    return { error: "recurrence.endDate is before startDate" };
+  }
+
+  return {
+    recurrence: {
+      frequency,
+      ...(frequency === "weekly" && { weekdays: [...new Set(weekdays)] }),
+      time,
+      startDate: start,
+      endDate: endDate || null,
+    },
+  };
+}
+
+// Departure dates of a recurrence within (after, until]
+function occurrences(recurrence, after, until) {
+  const { frequency, weekdays, time, startDate, endDate } = recurrence;
+  const [, hours, minutes] = TIME_RE.exec(time);
+  const offset = (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+
+  const lastDay = localDate(until);
+  const dates = [];
+
+  let day = localDate(after);
+  if (day < startDate) day = startDate;
+
+  for (; day <= lastDay; day = nextDay(day)) {
+    if (endDate && day > endDate) break;
+    if (frequency === "weekly" && !weekdays.includes(weekdayOf(day))) continue;
+
+    const departure = new Date(dayRange(day).start.getTime() + offset);
+    if (departure > after && departure <= until) dates.push(departure);
+  }
+
+  return dates;
+}
+
+module.exports = { parseRecurrence, occurrences };
@@ -0,0 +1,130 @@
+// services/seatMap.js
+//
+// Seat layouts for tickets where customers pick a seat or berth. Vendors send
+//
+//   seatMap: {
+//     rows: 10,
+//     columns: 4,
+//     // optional, generated as 1A, 1B, ... when left out
+//     seats: [{ id: "1A", label: "1A", row: 1, column: 1, class: "business" }],
+//     // seats that are never sold (driver, crew, broken)
+//     blocked: ["1A"],
+//   }
+//
+// The ticket keeps the ids of reserved seats in `takenSeats`, its `quantity`
+// stays the number of seats still available.
+
+const MAX_ROWS = 100;
+const MAX_COLUMNS = 26;
+const DEFAULT_CLASS = "standard";
+
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+const columnLetter = (column) => String.fromCharCode(64 + column);
+
+function generateSeats(rows, columns) {
+  const seats = [];
+  for (let row = 1; row <= rows; row++) {
+    for (let column = 1; column <= columns; column++) {
+      const id = `${row}${columnLetter(column)}`;
+      seats.push({ id, label: id, row, column, class: DEFAULT_CLASS });
+    }
+  }
+  return seats;
+}
+
+// Checks vendor input, returns { seatMap } or { error }
+function parseSeatMap(input) {
+  if (input === null) return { seatMap: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "seatMap must be an object" };
+  }
+
+  const { rows, columns } = input;
+  if (!isPositiveInt(rows) || rows > MAX_ROWS) {
+    return { error: `seatMap.rows must be a whole number 1-${MAX_ROWS}` };
+  }
+  if (!isPositiveInt(columns) || columns > MAX_COLUMNS) {
+    return {
+      error: `seatMap.columns must be a whole number 1-${MAX_COLUMNS}`,
+    };
+  }
+
+  if (input.seats !== undefined && !Array.isArray(input.seats)) {
+    return { error: "seatMap.seats must be an array" };
+  }
+  if (input.blocked !== undefined && !Array.isArray(input.blocked)) {
+    return { error: "seatMap.blocked must be an array of seat ids" };
+  }
+
+  const seats = [];
+  const ids = new Set();
+  const positions = new Set();
+  const blocked = new Set((input.blocked || []).map(String));
+
+  const layout = input.seats || generateSeats(rows, columns);
+  for (const [i, seat] of layout.entries()) {
+    const where = `seatMap.seats[${i}]`;
+    const id = typeof seat?.id === "string" ? seat.id.trim() : "";
+
+    if (!id) return { error: `${where}.id is required` };
+    if (ids.has(id)) return { error: `${where}: duplicate seat id ${id}` };
+    if (
+      !isPositiveInt(seat.row) ||
+      seat.row > rows ||
+      !isPositiveInt(seat.column) ||
+      seat.column > columns
+    ) {
+      return { error: `${where} is outside the ${rows}x${columns} layout` };
+    }
+
+    const position = `${seat.row}:${seat.column}`;
+    if (positions.has(position)) {
+      return {
+        error: `${where}: two seats at row ${seat.row}, column ${seat.column}`,
+      };
+    }
+
+    ids.add(id);
+    positions.add(position);
+    if (seat.blocked === true) blocked.add(id);
+
+    seats.push({
+      id,
+      label: String(seat.label || id),
+      row: seat.row,
+      column: seat.column,
+      class: String(seat.class || DEFAULT_CLASS),
+    });
+  }
+
+  if (!seats.length) return { error: "seatMap needs at least one seat" };
+
+  for (const id of blocked) {
+    if (!ids.has(id)) return { error: `Blocked seat ${id} is not on the map` };
+  }
+
+  return { seatMap: { rows, columns, seats, blocked: [...blocked] } };
+}
+
+// Ids of the seats that can be sold at all
+function bookableSeatIds(seatMap) {
+  const blocked = new Set(seatMap.blocked || []);
+  return seatMap.seats.map((s) => s.id).filter((id) => !blocked.has(id));
+}
+
+// Every seat on a ticket's map with its live status
+function seatAvailability(ticket) {
+  const blocked = new Set(ticket.seatMap.blocked || []);
+  const taken = new Set(ticket.takenSeats || []);
+
+  return ticket.seatMap.seats.map((seat) => ({
+    ...seat,
+    status: blocked.has(seat.id)
+      ? "blocked"
+      : taken.has(seat.id)
+      ? "taken"
+      : "available",
+  }));
+}
+
+module.exports = { parseSeatMap, bookableSeatIds, seatAvailability };
@@ -0,0 +1,41 @@
+// services/stripeWebhook.js
+//
+// Express handler for Stripe webhooks. The signature is checked over the
+// raw request body (req.rawBody, kept by the JSON parser), then the event's
+// object goes to the handler registered for its type:
+//
+//   createWebhookHandler({ stripe, secret, handlers: {
+//     "checkout.session.completed": async (session, event) => { ... },
+//   } })
+//
+// Bad signatures get a 400. A handler that throws gets a 500 so Stripe
+// retries the delivery; event types without a handler are acknowledged.
+
+function createWebhookHandler({ stripe, secret, handlers }) {
+  return async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        secret
+      );
+    } catch (err) {
+      console.error("Stripe webhook signature error:", err.message);
+      return res.status(400).send({ message: "Invalid signature" });
+    }
+
+    try {
+      const handler = handlers[event.type];
+      if (handler) await handler(event.data.object, event);
+
+      res.send({ received: true });
+    } catch (err) {
+      // non-2xx makes Stripe retry the delivery
+      console.error("Stripe webhook error:", err);
+      res.status(500).send({ message: "Webhook handling failed" });
+    }
+  };
+}
+
+module.exports = { createWebhookHandler };
@@ -0,0 +1,54 @@
+// services/ticketSearch.js
+//
+// The numeric filters of the public trip search (GET /tickets):
+//
+//   ?minPrice=500&maxPrice=1200&minSeats=2&minRating=4
+//
+// Query values arrive as strings. Anything that is not a clean number in
+// range is an error, never a silently dropped or defaulted filter.
+
+const MAX_RATING = 5;
+
+// Blank, repeated (array) or non-numeric values give NaN
+const toNumber = (value) =>
+  typeof value === "string" && value.trim() ? Number(value) : NaN;
+
+// Returns { price, minSeats, minRating } (each undefined when not asked
+// for) or { error }.
+function parseSearchNumbers({ minPrice, maxPrice, minSeats, minRating } = {}) {
+  const price = {};
+  for (const [name, value, op] of [
+    ["minPrice", minPrice, "$gte"],
+    ["maxPrice", maxPrice, "$lte"],
+  ]) {
+    if (value === undefined) continue;
+    const n = toNumber(value);
+    if (!Number.isFinite(n) || n < 0) return { error: `Invalid ${name}` };
+    price[op] = n;
+  }
+  if (price.$gte > price.$lte) {
+    return { error: "minPrice cannot be above maxPrice" };
+  }
+
+  const result = { price: Object.keys(price).length ? price : undefined };
+
+  if (minSeats !== undefined) {
+    const n = toNumber(minSeats);
+    if (!Number.isInteger(n) || n < 1) {
+      return { error: "minSeats must be a positive whole number" };
+    }
+    result.minSeats = n;
+  }
+
+  if (minRating !== undefined) {
+    const n = toNumber(minRating);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_RATING) {
+      return { error: `minRating must be between 0 and ${MAX_RATING}` };
+    }
+    result.minRating = n;
+  }
+
+  return result;
+}
+
+module.exports = { parseSearchNumbers };
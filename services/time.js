@@ -0,0 +1,86 @@
+// services/time.js
+//
+// Calendar helpers in the operating timezone. Departures are stored as UTC
+// dates, but "Friday" or "after 6pm" mean local time for our customers.
+
+const TIMEZONE = process.env.TIMEZONE || "Asia/Dhaka";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function zonedParts(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIMEZONE,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts.map((p) => [p.type, p.value]));
+}
+
+// Weekday (0 = Sunday) and hour of a date in local time
+function localTime(date) {
+  const parts = zonedParts(date);
+  return {
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+      parts.weekday
+    ),
+    hour: Number(parts.hour),
+  };
+}
+
+// "YYYY-MM-DD" of the local calendar day `date` falls on
+function localDate(date) {
+  const p = zonedParts(date);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// "Fri, 13 Mar 2026, 18:30" for messages to customers
+function formatLocal(date) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: TIMEZONE,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
+}
+
+// Milliseconds the timezone is ahead of UTC at `date`
+function offsetAt(date) {
+  const p = zonedParts(date);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2026-03-13" -> { start, end } of that local day, or null if malformed
+function dayRange(day) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(day || ""));
+  if (!match) return null;
+
+  const midnightUtc = Date.UTC(match[1], match[2] - 1, match[3]);
+  const start = new Date(midnightUtc - offsetAt(new Date(midnightUtc)));
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+module.exports = {
+  TIMEZONE,
+  DAY_MS,
+  localTime,
+  localDate,
+  dayRange,
+  formatLocal,
+};
@@ -0,0 +1,35 @@
+// test/csv.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, toCsv } = require("../services/csv");
+
+test("text that a spreadsheet would run as a formula is neutralized", () => {
+  const csv = toCsv(
+    [
+      { name: '=HYPERLINK("http://x")', phone: "+8801711000000" },
+      { name: "@SUM(A1)", phone: "-1+2" },
+    ],
+    ["name", "phone"]
+  );
+
+  const [, ...lines] = csv.trim().split("\r\n");
+  for (const line of lines) {
+    for (const cell of line.split(",")) {
+      assert.doesNotMatch(cell.replace(/^"/, ""), /^[=+\-@]/);
+    }
+  }
+});
+
+test("neutralized values read back unchanged", () => {
+  const rows = [
+    { name: "=1+1", seat: "A1" },
+    { name: "Rahim Uddin", seat: "-" },
+  ];
+
+  assert.deepEqual(parseCsv(toCsv(rows, ["name", "seat"])), rows);
+});
+
+test("numbers are written as they are", () => {
+  assert.equal(toCsv([{ n: -5 }], ["n"]), "n\r\n-5\r\n");
+});
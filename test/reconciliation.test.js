@@ -0,0 +1,133 @@
+// test/reconciliation.test.js
+//
+// reconcile() against a fake payment provider and in-memory collections
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { reconcile } = require("../services/reconciliation");
+
+const SINCE = new Date("2026-01-01T00:00:00Z");
+const PAID_AT = new Date("2026-01-02T10:00:00Z");
+
+// just the equality and $gte lookups reconcile() does
+const matches = (doc, query) =>
+  Object.entries(query).every(([key, cond]) => {
+    const value = doc[key];
+    if (cond?.$gte !== undefined) return value >= cond.$gte;
+    if (cond instanceof ObjectId) return cond.equals(value);
+    return value === cond;
+  });
+
+const fakeCollection = (docs) => ({
+  find: (query) => ({
+    toArray: async () => docs.filter((doc) => matches(doc, query)),
+  }),
+  findOne: async (query) => docs.find((doc) => matches(doc, query)) || null,
+});
+
+const fakeProvider = (sessions, refunded = {}) => ({
+  listCheckoutSessions: async () => sessions,
+  retrieveCheckoutSession: async (id) => sessions.find((s) => s.id === id),
+  getAmountRefunded: async (paymentIntentId) => refunded[paymentIntentId] || 0,
+});
+
+const setup = ({ amountTotal = 5000, recorded = true } = {}) => {
+  const bookingId = new ObjectId();
+  const session = {
+    id: "cs_test_1",
+    payment_status: "paid",
+    payment_intent: "pi_test_1",
+    amount_total: amountTotal,
+    currency: "usd",
+    metadata: { bookingId: bookingId.toString() },
+  };
+  const booking = {
+    _id: bookingId,
+    status: recorded ? "paid" : "accepted",
+    paidAt: recorded ? PAID_AT : undefined,
+    checkoutSessionId: session.id,
+  };
+  const payments = recorded
+    ? [
+        {
+          _id: new ObjectId(),
+          bookingId,
+          transactionId: session.payment_intent,
+          amount: 50,
+          currency: "usd",
+        },
+      ]
+    : [];
+
+  const calls = [];
+  return {
+    session,
+    calls,
+    options: {
+      provider: fakeProvider([session]),
+      paymentsCollection: fakeCollection(payments),
+      bookingsCollection: fakeCollection([booking]),
+      fixers: {
+        recordPayment: async (s) => calls.push(["recordPayment", s.id]),
+        recordExternalRefund: async () => calls.push(["recordExternalRefund"]),
+      },
+      since: SINCE,
+    },
+  };
+};
+
+test("a recorded payment that matches the session has no issues", async () => {
+  const { options } = setup();
+
+  const result = await reconcile(options);
+
+  assert.equal(result.paidSessions, 1);
+  assert.deepEqual(result.issues, []);
+});
+
+test("a paid session without a payment row is reported and fixable", async () => {
+  const { options, calls } = setup({ recorded: false });
+
+  const report = await reconcile(options);
+  assert.deepEqual(
+    report.issues.map((issue) => [issue.type, issue.fixable]),
+    [["paid_not_recorded", true]]
+  );
+  assert.deepEqual(calls, []);
+
+  const fixed = await reconcile({ ...options, fix: true });
+  assert.equal(fixed.fixed, 1);
+  assert.deepEqual(calls, [["recordPayment", "cs_test_1"]]);
+});
+
+test("an amount that differs from the session is reported, not fixed", async () => {
+  const { options, calls } = setup({ amountTotal: 4500 });
+
+  const result = await reconcile({ ...options, fix: true });
+
+  assert.equal(result.issues.length, 1);
+  const [issue] = result.issues;
+  assert.equal(issue.type, "amount_mismatch");
+  assert.equal(issue.recorded, 50);
+  assert.equal(issue.provider, 45);
+  assert.equal(issue.fixable, false);
+  assert.equal(result.fixed, 0);
+  assert.deepEqual(calls, []);
+});
+
+test("refunds made at the provider only are reported", async () => {
+  const { options, calls } = setup();
+  options.provider = fakeProvider(
+    await options.provider.listCheckoutSessions(),
+    { pi_test_1: 20 }
+  );
+
+  const result = await reconcile({ ...options, fix: true });
+
+  assert.deepEqual(
+    result.issues.map((issue) => issue.type),
+    ["refunded_not_recorded"]
+  );
+  assert.deepEqual(calls, [["recordExternalRefund"]]);
+});
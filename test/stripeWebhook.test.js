@@ -0,0 +1,143 @@
+// test/stripeWebhook.test.js
+//
+// The webhook handler with payloads signed like Stripe signs them
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Stripe = require("stripe");
+const { createWebhookHandler } = require("../services/stripeWebhook");
+
+const stripe = Stripe("sk_test_fake");
+const SECRET = "whsec_test_secret";
+
+const completedEvent = {
+  id: "evt_test_1",
+  object: "event",
+  type: "checkout.session.completed",
+  data: {
+    object: {
+      id: "cs_test_1",
+      object: "checkout.session",
+      payment_status: "paid",
+      payment_intent: "pi_test_1",
+      amount_total: 5000,
+      currency: "usd",
+      metadata: { bookingId: "6650f0c2a1b2c3d4e5f60718" },
+    },
+  },
+};
+
+const signedRequest = (event, secret = SECRET) => {
+  const payload = JSON.stringify(event);
+  return {
+    rawBody: Buffer.from(payload),
+    headers: {
+      "stripe-signature": stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret,
+      }),
+    },
+  };
+};
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// the handler logs rejected deliveries, keep the test output clean
+const quietly = async (fn) => {
+  const { error } = console;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+};
+
+test("a signed event reaches the handler for its type", async () => {
+  const seen = [];
+  const handle = createWebhookHandler({
+    stripe,
+    secret: SECRET,
+    handlers: {
+      "checkout.session.completed": async (session, event) =>
+        seen.push([session.id, event.id]),
+    },
+  });
+
+  const res = fakeResponse();
+  await handle(signedRequest(completedEvent), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body, { received: true });
+  assert.deepEqual(seen, [["cs_test_1", "evt_test_1"]]);
+});
+
+test("a payload signed with another secret is rejected", async () => {
+  let called = false;
+  const handle = createWebhookHandler({
+    stripe,
+    secret: SECRET,
+    handlers: { "checkout.session.completed": async () => (called = true) },
+  });
+
+  const res = fakeResponse();
+  await quietly(() =>
+    handle(signedRequest(completedEvent, "whsec_other"), res)
+  );
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(called, false);
+});
+
+test("a payload changed after signing is rejected", async () => {
+  const handle = createWebhookHandler({ stripe, secret: SECRET, handlers: {} });
+
+  const req = signedRequest(completedEvent);
+  req.rawBody = Buffer.from(
+    req.rawBody.toString().replace('"amount_total":5000', '"amount_total":1')
+  );
+  const res = fakeResponse();
+  await quietly(() => handle(req, res));
+
+  assert.equal(res.statusCode, 400);
+});
+
+test("event types without a handler are acknowledged", async () => {
+  const handle = createWebhookHandler({ stripe, secret: SECRET, handlers: {} });
+
+  const res = fakeResponse();
+  await handle(
+    signedRequest({ ...completedEvent, type: "charge.updated" }),
+    res
+  );
+
+  assert.equal(res.statusCode, 200);
+});
+
+test("a failing handler answers 500 so Stripe retries", async () => {
+  const handle = createWebhookHandler({
+    stripe,
+    secret: SECRET,
+    handlers: {
+      "checkout.session.completed": async () => {
+        throw new Error("database is down");
+      },
+    },
+  });
+
+  const res = fakeResponse();
+  await quietly(() => handle(signedRequest(completedEvent), res));
+
+  assert.equal(res.statusCode, 500);
+});
@@ -0,0 +1,58 @@
+// test/ticketSearch.test.js
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSearchNumbers } = require("../services/ticketSearch");
+
+test("no numeric filters asked for", () => {
+  assert.deepEqual(parseSearchNumbers({}), { price: undefined });
+});
+
+test("valid filters become query bounds", () => {
+  assert.deepEqual(
+    parseSearchNumbers({
+      minPrice: "500",
+      maxPrice: "1200.50",
+      minSeats: "2",
+      minRating: "4.5",
+    }),
+    {
+      price: { $gte: 500, $lte: 1200.5 },
+      minSeats: 2,
+      minRating: 4.5,
+    }
+  );
+  assert.equal(parseSearchNumbers({ minRating: "0" }).minRating, 0);
+});
+
+test("minPrice and maxPrice reject what is not a price", () => {
+  for (const minPrice of ["abc", "", " ", "-5", "Infinity", ["1", "2"]]) {
+    assert.equal(parseSearchNumbers({ minPrice }).error, "Invalid minPrice");
+  }
+  assert.equal(
+    parseSearchNumbers({ maxPrice: "1e" }).error,
+    "Invalid maxPrice"
+  );
+  assert.equal(
+    parseSearchNumbers({ minPrice: "900", maxPrice: "100" }).error,
+    "minPrice cannot be above maxPrice"
+  );
+});
+
+test("minSeats must be a positive whole number", () => {
+  for (const minSeats of ["abc", "", "-5", "0", "1.5", ["2", "3"]]) {
+    assert.equal(
+      parseSearchNumbers({ minSeats }).error,
+      "minSeats must be a positive whole number"
+    );
+  }
+});
+
+test("minRating must be between 0 and 5", () => {
+  for (const minRating of ["abc", "", "-5", "5.1", "NaN"]) {
+    assert.equal(
+      parseSearchNumbers({ minRating }).error,
+      "minRating must be between 0 and 5"
+    );
+  }
+});